@@ -1,26 +1,22 @@
-// Webpack loader for .jsx.dsl and .tsx.dsl files
-const path = require('path');
+// Webpack loader for .jsx.dsl, .tsx.dsl and .hook.dsl files
 const { tokenize } = require('./src/tokenizer-ts.js');
 const { parse } = require('./src/parser-ts.js');
 const { generateTypeScript } = require('./src/generator-ts.js');
-const { generate } = require('./src/generator.js');
+const { analyze } = require('./src/analyzer.js');
+const { JsxDslError } = require('./src/errors.js');
+const { getDslExtension, componentNameFromPath, hookNameFromPath } = require('./src/file-names.js');
 
 /**
  * Get file information from a DSL resource path
  */
 function getLoaderFileInfo(resourcePath) {
-  const isTsxDsl = resourcePath.endsWith('.tsx.dsl');
-  const isJsxDsl = resourcePath.endsWith('.jsx.dsl');
-  const extension = isTsxDsl ? '.tsx.dsl' : isJsxDsl ? '.jsx.dsl' : null;
-
-  const baseName = path.basename(resourcePath, extension);
-  const componentName = baseName
-    .replace(/^\w/, c => c.toUpperCase())
-    .replace(/-(\w)/g, (_, c) => c.toUpperCase());
-
+  const extension = getDslExtension(resourcePath);
+  const hookName = hookNameFromPath(resourcePath);
   return {
-    isTypeScript: isTsxDsl,
-    componentName,
+    // Hooks are plain TypeScript modules
+    isTypeScript: extension === '.tsx.dsl' || hookName !== null,
+    componentName: componentNameFromPath(resourcePath),
+    hookName,
     extension
   };
 }
@@ -31,7 +27,28 @@ module.exports = function jsxDslLoader(source) {
   try {
     // Tokenize and parse the DSL source
     const tokens = tokenize(source);
-    const ast = parse(tokens);
+    const parsed = parse(tokens, { recover: true });
+    const { ast } = parsed;
+
+    // Resolve names only in a complete AST; a partial one would report false undefined names
+    const analysis = parsed.errors.length === 0
+      ? analyze(ast, { globals: this.query?.globals || [] })
+      : { errors: [], warnings: [] };
+    const errors = [...parsed.errors, ...analysis.errors];
+    const warnings = [...parsed.warnings, ...analysis.warnings];
+
+    for (const warning of warnings) {
+      warning.file = this.resourcePath;
+      this.emitWarning(new Error(warning.format(source)));
+    }
+    // Report every error; the first one fails the module
+    for (const error of errors.slice(1)) {
+      error.file = this.resourcePath;
+      this.emitError(new Error(error.format(source)));
+    }
+    if (errors.length > 0) {
+      throw errors[0];
+    }
 
     // Get file info to detect TypeScript mode
     const fileInfo = getLoaderFileInfo(this.resourcePath);
@@ -39,17 +56,20 @@ module.exports = function jsxDslLoader(source) {
     // .tsx.dsl files always use TypeScript, .jsx.dsl uses the typescript query option
     const useTypeScript = fileInfo.isTypeScript || this.query?.typescript || false;
 
-    if (useTypeScript) {
-      const { code } = generateTypeScript(ast, this.resourcePath, {
-        componentName: fileInfo.componentName,
-        generateSourceMap: this.sourceMap
-      });
-      callback(null, code);
-    } else {
-      const code = generate(ast);
-      callback(null, code);
-    }
+    const { code, map } = generateTypeScript(ast, this.resourcePath, {
+      typescript: useTypeScript,
+      componentName: fileInfo.componentName,
+      hookName: fileInfo.hookName,
+      generateSourceMap: this.sourceMap,
+      sourceContent: source,
+      propTypes: this.query?.propTypes || false
+    });
+    callback(null, code, this.sourceMap ? map : undefined);
   } catch (error) {
+    if (error instanceof JsxDslError) {
+      error.file = this.resourcePath;
+      error.message = error.format(source);
+    }
     callback(error);
   }
 };
@@ -1,22 +1,17 @@
 // ESM wrapper for jsx-dsl-loader.js for testing purposes
-import path from 'path';
+import { getDslExtension, componentNameFromPath, hookNameFromPath } from './src/file-names.js';
 
 /**
  * Get file information from a DSL resource path
  */
 export function getLoaderFileInfo(resourcePath) {
-  const isTsxDsl = resourcePath.endsWith('.tsx.dsl');
-  const isJsxDsl = resourcePath.endsWith('.jsx.dsl');
-  const extension = isTsxDsl ? '.tsx.dsl' : isJsxDsl ? '.jsx.dsl' : null;
-
-  const baseName = path.basename(resourcePath, extension);
-  const componentName = baseName
-    .replace(/^\w/, c => c.toUpperCase())
-    .replace(/-(\w)/g, (_, c) => c.toUpperCase());
-
+  const extension = getDslExtension(resourcePath);
+  const hookName = hookNameFromPath(resourcePath);
   return {
-    isTypeScript: isTsxDsl,
-    componentName,
+    // Hooks are plain TypeScript modules
+    isTypeScript: extension === '.tsx.dsl' || hookName !== null,
+    componentName: componentNameFromPath(resourcePath),
+    hookName,
     extension
   };
 }
@@ -0,0 +1,609 @@
+// Semantic analysis for JSX DSL: scope resolution and name checks
+import { JsxDslError, ERROR_CODES } from './errors.js';
+import { importedLocalNames, effectFunction } from './ast-helpers.js';
+
+// Names available in every component without a declaration
+const GLOBALS = new Set([
+  // Language
+  'Array', 'Boolean', 'Date', 'Error', 'Infinity', 'Intl', 'JSON', 'Map', 'Math', 'NaN',
+  'Number', 'Object', 'Promise', 'Proxy', 'Reflect', 'RegExp', 'Set', 'String', 'Symbol',
+  'TypeError', 'RangeError', 'SyntaxError', 'AggregateError', 'WeakMap', 'WeakSet',
+  'WeakRef', 'BigInt', 'ArrayBuffer', 'DataView', 'Uint8Array', 'Int32Array', 'Float32Array',
+  'Float64Array', 'globalThis', 'isFinite', 'isNaN', 'parseFloat', 'parseInt',
+  'encodeURIComponent', 'decodeURIComponent', 'encodeURI', 'decodeURI', 'structuredClone',
+  'queueMicrotask', 'undefined',
+  // Browser
+  'window', 'document', 'navigator', 'location', 'history', 'console', 'fetch',
+  'localStorage', 'sessionStorage', 'indexedDB', 'caches', 'setTimeout', 'clearTimeout',
+  'setInterval', 'clearInterval', 'requestAnimationFrame', 'cancelAnimationFrame',
+  'requestIdleCallback', 'cancelIdleCallback', 'alert', 'confirm', 'prompt', 'URL',
+  'URLSearchParams', 'FormData', 'Headers', 'Request', 'Response', 'AbortController',
+  'AbortSignal', 'Event', 'CustomEvent', 'EventTarget', 'KeyboardEvent', 'MouseEvent',
+  'crypto', 'performance', 'matchMedia', 'getComputedStyle', 'IntersectionObserver',
+  'ResizeObserver', 'MutationObserver', 'WebSocket', 'EventSource', 'BroadcastChannel',
+  'Worker', 'Image', 'Audio', 'Blob', 'File', 'FileReader', 'atob', 'btoa', 'TextEncoder',
+  'TextDecoder', 'Notification', 'DOMParser', 'HTMLElement', 'Element', 'Node', 'screen',
+  'scrollTo', 'open', 'print', 'innerWidth', 'innerHeight', 'devicePixelRatio',
+  // Node and bundlers
+  'process', 'Buffer', 'global', 'setImmediate', 'clearImmediate',
+  // Imported by every generated component
+  'React',
+]);
+
+// AST collections that declare a name, with the kind used in messages
+const DECLARATION_KINDS = [
+  ['props', 'prop'],
+  ['states', 'state'],
+  ['reducers', 'reducer'],
+  ['transitions', 'transition'],
+  ['deferredValues', 'deferred value'],
+  ['optimistics', 'optimistic state'],
+  ['syncs', 'external store'],
+  ['actionStates', 'action state'],
+  ['contexts', 'context'],
+  ['callbacks', 'callback'],
+  ['refs', 'ref'],
+  ['ids', 'id'],
+  ['memos', 'memo'],
+];
+
+// Kinds whose declared name is not itself a variable in the generated code
+const UNBOUND_KINDS = new Set(['transition']);
+
+// Kinds whose value can change between renders, so they belong in dependency
+// arrays. Setters, dispatchers, refs, ids, imports and globals are stable;
+// event handlers are recreated on every render.
+const REACTIVE_KINDS = new Set([
+  'prop', 'state', 'reducer', 'deferred value', 'optimistic state', 'external store',
+  'action state', 'context', 'callback', 'memo', 'pending flag', 'hook result', 'event',
+]);
+
+const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+// Names the generator derives from a declaration, e.g. setCount for @count.
+// Reducers also get a helper named after each action that dispatches it.
+function derivedNames(kind, name, actions = []) {
+  switch (kind) {
+    case 'state':
+      return [{ name: `set${capitalize(name)}`, kind: 'setter' }];
+    case 'reducer':
+      return [
+        { name: `dispatch${capitalize(name)}`, kind: 'dispatch function' },
+        ...actions.map(action => ({ name: action.name, kind: 'action helper' }))
+      ];
+    case 'transition':
+      return [
+        { name: `isPending${capitalize(name)}`, kind: 'pending flag' },
+        { name: `start${capitalize(name)}Transition`, kind: 'transition starter' }
+      ];
+    case 'optimistic state':
+      return [{ name: `add${capitalize(name)}`, kind: 'optimistic updater' }];
+    case 'action state':
+      return [
+        { name: `${name}Action`, kind: 'form action' },
+        { name: `isPending${capitalize(name)}`, kind: 'pending flag' }
+      ];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Component-scoped names whose value can change between renders: props, state,
+ * memos, contexts, callbacks, event handlers and the like, including derived
+ * pending flags
+ * @param {Object} ast - Component AST from parse()
+ * @returns {Set<string>}
+ */
+export function reactiveNames(ast) {
+  const names = new Set();
+  for (const [key, kind] of DECLARATION_KINDS) {
+    for (const { name } of ast[key] || []) {
+      if (REACTIVE_KINDS.has(kind)) names.add(name);
+      for (const derived of derivedNames(kind, name)) {
+        if (REACTIVE_KINDS.has(derived.kind)) names.add(derived.name);
+      }
+    }
+  }
+  for (const { bindings } of ast.hookCalls || []) {
+    bindings.forEach(({ name }) => names.add(name));
+  }
+  Object.keys(ast.events || {}).forEach(name => names.add(name));
+  return names;
+}
+
+/**
+ * Resolve every name a component uses against its declarations.
+ * Imports and component blocks are module-wide; everything else is scoped to
+ * the component that declares it, so each block is resolved on its own.
+ * Reports undefined references, duplicate declarations, clashes with generated
+ * names such as setters and names read before the line that declares them as
+ * errors, and unused declarations as warnings.
+ * @param {Object} ast - Component AST from parse()
+ * @param {Object} options
+ * @param {string[]} options.globals - Names defined by the environment besides
+ *   the built-in browser and JavaScript globals
+ * @returns {{ symbols: Object[], errors: JsxDslError[], warnings: JsxDslError[] }}
+ *   symbols: { name, kind, loc, docComment, derivedFrom, references, component }[],
+ *   where `component` is the component AST declaring the name, or null for module-wide names
+ */
+export function analyze(ast, { globals = [] } = {}) {
+  const isGlobal = name => GLOBALS.has(name) || globals.includes(name);
+  const errors = [];
+  const warnings = [];
+  const symbols = [];
+
+  const declare = (table, symbol) => {
+    symbols.push(symbol);
+    if (symbol.bound === false) return;
+
+    const existing = table.get(symbol.name);
+    if (!existing) {
+      table.set(symbol.name, symbol);
+      return;
+    }
+
+    const derived = [existing, symbol].find(s => s.derivedFrom);
+    if (derived) {
+      const declared = derived === symbol ? existing : symbol;
+      const owner = derived.derivedFrom;
+      errors.push(new JsxDslError(
+        `'${symbol.name}' collides with the ${derived.kind} generated for ${owner.kind} '${owner.name}'`,
+        { code: ERROR_CODES.SETTER_COLLISION, ...declared.loc }
+      ));
+    } else {
+      errors.push(new JsxDslError(
+        `Duplicate declaration of '${symbol.name}' (already declared as ${existing.kind} at ${existing.loc.line}:${existing.loc.column})`,
+        { code: ERROR_CODES.DUPLICATE_DECLARATION, ...symbol.loc }
+      ));
+    }
+  };
+
+  // Declare in source order, so the later of two duplicates is reported
+  const declareAll = (table, declarations, component = null) => declarations
+    .filter(declaration => declaration.loc)
+    .sort((a, b) => a.loc.line - b.loc.line || a.loc.column - b.loc.column)
+    .forEach(({ name, kind, loc, docComment = null, exported = null, actions }) => {
+      const symbol = { name, kind, loc, docComment, derivedFrom: null, references: [], component, bound: !UNBOUND_KINDS.has(kind), exported };
+      declare(table, symbol);
+      for (const derived of derivedNames(kind, name, actions)) {
+        declare(table, { ...derived, loc, docComment: null, derivedFrom: symbol, references: [], component });
+      }
+    });
+
+  // Module-scoped names
+  const moduleTable = new Map();
+  const moduleDeclarations = [];
+  for (const declaration of ast.imports || []) {
+    for (const name of importedLocalNames(declaration)) {
+      moduleDeclarations.push({ name, kind: 'import', loc: declaration.loc });
+    }
+  }
+  for (const { name, loc, exported } of ast.components || []) {
+    moduleDeclarations.push({ name, kind: 'component', loc, exported });
+  }
+  declareAll(moduleTable, moduleDeclarations);
+
+  // The file's own component, then each block
+  for (const component of [ast, ...(ast.components || [])]) {
+    resolveComponent(component);
+  }
+
+  function resolveComponent(ast) {
+    const table = new Map(moduleTable);
+    const declarations = [];
+    for (const [key, kind] of DECLARATION_KINDS) {
+      for (const { name, loc, docComment, actions } of ast[key] || []) {
+        declarations.push({ name, kind, loc, docComment, actions });
+      }
+    }
+    for (const { bindings } of ast.hookCalls || []) {
+      bindings.forEach(({ name, loc }) => declarations.push({ name, kind: 'hook result', loc }));
+    }
+    for (const [name, loc] of Object.entries(ast.eventLocations || {})) {
+      declarations.push({ name, kind: 'event', loc });
+    }
+    declareAll(table, declarations, ast);
+
+    // Generated code declares props first, as parameters, then hooks and
+    // handlers in source order. `current` is the declaration being walked.
+    const reactive = reactiveNames(ast);
+    let current = null;
+    const within = (declaration, walkDeclaration) => {
+      current = declaration;
+      walkDeclaration();
+      current = null;
+    };
+
+    // Whether a read runs before `symbol` exists. Reads in functions wait until
+    // they are called, except that a hook may call them while rendering and
+    // reactive names in them are listed in dependency arrays straight away.
+    const readsTooEarly = (symbol, inFunction) => {
+      const declaration = symbol.derivedFrom || symbol;
+      if (!current || current.later || declaration.kind === 'import' || declaration.kind === 'component') return false;
+      const tier = declaration.kind === 'prop' ? 0 : 1;
+      if (tier !== current.tier ? tier < current.tier : declaration.loc.line < current.line) return false;
+      if (!inFunction || current.callsFunctions) return true;
+      return Boolean(current.dependencies) && reactive.has(symbol.name);
+    };
+
+    const reference = (name, loc, scope, inFunction) => {
+      if (scope.has(name)) return;
+      const symbol = table.get(name);
+      if (symbol) {
+        symbol.references.push(loc);
+        if (loc && readsTooEarly(symbol, inFunction)) {
+          const declared = (symbol.derivedFrom || symbol).loc;
+          errors.push(new JsxDslError(
+            `'${name}' is used before it is declared at ${declared.line}:${declared.column}`,
+            { code: ERROR_CODES.USE_BEFORE_DECLARATION, ...loc }
+          ));
+        }
+      } else if (!isGlobal(name) && loc) {
+        const suggestion = closestName(name, [...table.keys()]);
+        errors.push(new JsxDslError(
+          `'${name}' is not defined${suggestion ? `. Did you mean '${suggestion}'?` : ''}`,
+          { code: ERROR_CODES.UNDEFINED_REFERENCE, ...loc }
+        ));
+      }
+    };
+
+    const walk = createWalker(reference);
+    const componentScope = new Set();
+
+    // Where a declaration sits in the generated code, and how its functions run
+    const at = (loc, tier, timing = {}) => ({ tier, line: loc?.line ?? Infinity, ...timing });
+
+    for (const prop of ast.props) {
+      walk.type(prop.type);
+      within(at(prop.loc, 0), () => walk.expression(prop.defaultValue, componentScope));
+    }
+    for (const state of ast.states) {
+      walk.type(state.type);
+      // Lazy initial values are called on the first render
+      within(at(state.loc, 1, { callsFunctions: true }), () => walk.expression(state.initialValue, componentScope));
+    }
+    for (const reducer of ast.reducers || []) {
+      walk.type(reducer.type);
+      reducer.actions.forEach(action => walk.type(action.payloadType));
+      within(at(reducer.loc, 1), () => walk.expression(reducer.initialValue, componentScope));
+      reducer.actions.forEach(action => walk.expression(action.handler, componentScope));
+    }
+    for (const deferred of ast.deferredValues || []) {
+      within(at(deferred.loc, 1), () => walk.expression(deferred.sourceValue, componentScope));
+    }
+    for (const optimistic of ast.optimistics || []) {
+      within(at(optimistic.loc, 1), () => {
+        walk.expression(optimistic.state, componentScope);
+        walk.expression(optimistic.updateFn, componentScope);
+      });
+    }
+    for (const sync of ast.syncs || []) {
+      // Snapshots are read while rendering
+      within(at(sync.loc, 1, { callsFunctions: true }), () => {
+        walk.expression(sync.subscribe, componentScope);
+        walk.expression(sync.getSnapshot, componentScope);
+        walk.expression(sync.getServerSnapshot, componentScope);
+      });
+    }
+    for (const actionState of ast.actionStates || []) {
+      within(at(actionState.loc, 1), () => {
+        walk.expression(actionState.actionFn, componentScope);
+        walk.expression(actionState.initialState, componentScope);
+      });
+    }
+    for (const context of ast.contexts || []) walk.type(context.type);
+    for (const callback of ast.callbacks || []) {
+      within(at(callback.loc, 1, { dependencies: !callback.deps }), () => {
+        walk.expression(callback.value, componentScope);
+        callback.deps?.forEach(dep => walk.expression(dep, componentScope));
+      });
+    }
+    for (const ref of ast.refs || []) {
+      walk.type(ref.type);
+      within(at(ref.loc, 1), () => walk.expression(ref.initialValue, componentScope));
+    }
+    // Imperative handles are created after rendering
+    for (const handle of ast.handles || []) {
+      within(at(handle.loc, 1, { later: true }), () => walk.expression(handle.value, componentScope));
+    }
+    for (const hookCall of ast.hookCalls || []) {
+      walk.type(hookCall.type);
+      hookCall.typeArguments.forEach(walk.type);
+      within(at(hookCall.loc, 1), () => {
+        walk.expression(hookCall.callee, componentScope);
+        hookCall.args.forEach(arg => walk.expression(arg, componentScope));
+        if (hookCall.pattern) walk.pattern(hookCall.pattern, componentScope);
+      });
+    }
+    for (const memo of ast.memos) {
+      walk.type(memo.type);
+      within(at(memo.loc, 1, { dependencies: !memo.deps }), () => {
+        walk.expression(memo.value, componentScope);
+        memo.deps?.forEach(dep => walk.expression(dep, componentScope));
+      });
+    }
+    for (const effect of [...ast.effects, ...(ast.layoutEffects || [])]) {
+      within(at(effect.loc, 1, { dependencies: !effect.deps }), () => {
+        walk.expression(effectFunction(effect), componentScope);
+        effect.deps?.forEach(dep => walk.expression(dep, componentScope));
+      });
+    }
+    // Event handlers only run once something happens
+    for (const [name, handler] of Object.entries(ast.events)) {
+      handler.paramTypes?.forEach(walk.type);
+      within(at(ast.eventLocations?.[name], 1, { later: true }), () => walk.expression(handler, componentScope));
+    }
+    walk.jsx(ast.jsx, componentScope);
+    walk.expression(ast.returns?.value, componentScope);
+  }
+
+  for (const symbol of symbols) {
+    // Exported components are used by whoever imports them
+    if (symbol.derivedFrom || symbol.exported) continue;
+    const used = symbol.references.length > 0 ||
+      symbols.some(other => other.derivedFrom === symbol && other.references.length > 0);
+    if (!used) {
+      warnings.push(new JsxDslError(`'${symbol.name}' is declared but never used`, {
+        code: ERROR_CODES.UNUSED_DECLARATION,
+        severity: 'warning',
+        ...symbol.loc
+      }));
+    }
+  }
+
+  // Without its own JSX or return value the file is only its blocks, so
+  // unless one is exported the module is of no use to anyone importing it
+  const blocks = ast.components || [];
+  if (!ast.jsx && !ast.returns && blocks.length > 0 && !blocks.some(block => block.exported)) {
+    warnings.push(new JsxDslError('No component is exported; mark a component block with export or export default', {
+      code: ERROR_CODES.NO_EXPORTS,
+      severity: 'warning',
+      ...blocks[0].loc
+    }));
+  }
+
+  // Sorted so diagnostics read top to bottom
+  const byLocation = (a, b) => a.line - b.line || a.column - b.column;
+  return { symbols, errors: errors.sort(byLocation), warnings: warnings.sort(byLocation) };
+}
+
+// Traverse expressions, statements, JSX, types and patterns, calling `reference`
+// for each free name. Scopes are Sets of names bound by arrows, blocks and loops.
+// `reference` is also told whether the name is read inside an arrow function.
+export function createWalker(reference) {
+  let functionDepth = 0;
+
+  function expression(node, scope) {
+    if (!node) return;
+
+    switch (node.type) {
+      case 'Identifier':
+        reference(node.name, node.loc, scope, functionDepth > 0);
+        break;
+      case 'TemplateLiteral':
+        node.expressions.forEach(e => expression(e, scope));
+        break;
+      case 'Update':
+        expression(node.target, scope);
+        break;
+      case 'Assignment':
+        expression(node.target, scope);
+        expression(node.value, scope);
+        break;
+      case 'BinaryOp':
+        expression(node.left, scope);
+        expression(node.right, scope);
+        break;
+      case 'Conditional':
+        expression(node.test, scope);
+        expression(node.consequent, scope);
+        expression(node.alternate, scope);
+        break;
+      case 'UnaryOp':
+      case 'Await':
+      case 'Spread':
+        expression(node.argument, scope);
+        break;
+      case 'Call':
+      case 'New':
+        expression(node.callee, scope);
+        node.args.forEach(arg => expression(arg, scope));
+        break;
+      case 'PropertyAccess':
+        expression(node.object, scope);
+        break;
+      case 'IndexAccess':
+        expression(node.object, scope);
+        expression(node.index, scope);
+        break;
+      case 'Array':
+        node.elements.forEach(element => expression(element, scope));
+        break;
+      case 'Object':
+        for (const property of node.properties) {
+          if (property.type === 'Spread') {
+            expression(property, scope);
+          } else {
+            if (property.computed) expression(property.key, scope);
+            expression(property.value, scope);
+          }
+        }
+        break;
+      case 'ArrowFunction': {
+        const inner = new Set(scope);
+        functionDepth++;
+        node.params.forEach(param => bind(param, inner, scope));
+        if (node.body.type === 'Block') {
+          block(node.body, inner);
+        } else {
+          expression(node.body, inner);
+        }
+        functionDepth--;
+        break;
+      }
+      case 'JSXElement':
+        jsx(node, scope);
+        break;
+    }
+  }
+
+  function block(node, scope) {
+    // Block-level declarations are visible throughout the block
+    const inner = new Set(scope);
+    for (const statement of node.body) {
+      if (statement.type === 'VariableDeclaration') {
+        statement.declarations.forEach(({ id }) => bind(id, inner, inner));
+      }
+    }
+    node.body.forEach(statement => statementNode(statement, inner));
+  }
+
+  function statementNode(node, scope) {
+    switch (node.type) {
+      case 'VariableDeclaration':
+        node.declarations.forEach(({ init }) => expression(init, scope));
+        break;
+      case 'Return':
+        expression(node.argument, scope);
+        break;
+      case 'If':
+        expression(node.test, scope);
+        statementNode(node.consequent, scope);
+        if (node.alternate) statementNode(node.alternate, scope);
+        break;
+      case 'Block':
+        block(node, scope);
+        break;
+      case 'ExpressionStatement':
+        expression(node.expression, scope);
+        break;
+    }
+  }
+
+  // Add the names a pattern binds to `scope`; default values are read in `outer`
+  function bind(pattern, scope, outer) {
+    if (typeof pattern === 'string') {
+      scope.add(pattern);
+      return;
+    }
+    switch (pattern.type) {
+      case 'ObjectPattern':
+        pattern.properties.forEach(property =>
+          bind(property.type === 'RestElement' ? property : property.value, scope, outer));
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => bind(element, scope, outer));
+        break;
+      case 'AssignmentPattern':
+        expression(pattern.right, outer);
+        bind(pattern.left, scope, outer);
+        break;
+      case 'RestElement':
+        bind(pattern.argument, scope, outer);
+        break;
+    }
+  }
+
+  function jsx(node, scope) {
+    if (!node) return;
+
+    switch (node.type) {
+      case 'JSXElement':
+        // Capitalized tags are components and must be in scope
+        if (/^[A-Z]/.test(node.tagName)) reference(node.tagName.split('.')[0], node.loc, scope, functionDepth > 0);
+        for (const attr of node.attributes) {
+          if (attr.value.type === 'EventHandler') {
+            reference(attr.value.handler, attr.value.loc, scope, functionDepth > 0);
+          } else if (attr.value.type === 'InlineHandler') {
+            expression(attr.value.handler, scope);
+          } else {
+            expression(attr.value, scope);
+          }
+        }
+        node.children.forEach(child => jsx(child, scope));
+        break;
+      case 'JSXFragment':
+        node.children.forEach(child => jsx(child, scope));
+        break;
+      case 'JSXExpression':
+        expression(node.expression, scope);
+        break;
+      case 'IfBlock':
+        for (const branch of node.branches) {
+          expression(branch.test, scope);
+          branch.children.forEach(child => jsx(child, scope));
+        }
+        (node.alternate || []).forEach(child => jsx(child, scope));
+        break;
+      case 'EachLoop': {
+        expression(node.list, scope);
+        const inner = new Set(scope);
+        bind(node.item, inner, scope);
+        if (node.index) inner.add(node.index);
+        type(node.itemType);
+        expression(node.key, inner);
+        node.children.forEach(child => jsx(child, inner));
+        break;
+      }
+    }
+  }
+
+  // Type names count as uses of imported types; unknown ones are left to TypeScript
+  // Qualified names such as React.ReactNode use their namespace
+  const typeName = name => reference(name.split('.')[0], null, new Set());
+
+  function type(node) {
+    if (!node) return;
+    switch (node.type) {
+      case 'SimpleType':
+        typeName(node.name);
+        break;
+      case 'ArrayType':
+        typeName(node.elementType);
+        break;
+      case 'UnionType':
+        node.types.forEach(type);
+        break;
+      case 'GenericType':
+        typeName(node.name);
+        node.typeParams.forEach(type);
+        break;
+    }
+  }
+
+  // Default values in a pattern whose names are declared elsewhere
+  const pattern = (node, scope) => bind(node, new Set(), scope);
+
+  return { expression, jsx, type, pattern };
+}
+
+// A declared name within two edits of `name`, for "did you mean" hints
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,35 @@
+// AST helpers shared by the analyzer and the generator
+
+// Local names an import declaration binds in the module
+export function importedLocalNames(declaration) {
+  const names = [];
+  if (declaration.defaultName) names.push(declaration.defaultName);
+  if (declaration.namespace) names.push(declaration.namespace);
+  for (const specifier of declaration.named) names.push(specifier.local);
+  return names;
+}
+
+// The call an effect makes, as an expression; $log(...) calls console.log
+function effectCall({ functionName, args, loc }) {
+  const callee = functionName === 'log'
+    ? { type: 'PropertyAccess', object: { type: 'Identifier', name: 'console' }, property: 'log', optional: false }
+    : { type: 'Identifier', name: functionName, loc };
+  return { type: 'Call', callee, args, optional: false };
+}
+
+/**
+ * Everything an effect runs, body and cleanup, as one arrow function, so
+ * dependency inference and name resolution see the body's locals in the
+ * cleanup and `signal` in async bodies
+ */
+export function effectFunction(effect) {
+  const body = effect.body
+    ? effect.body.body
+    : [{ type: 'ExpressionStatement', expression: effectCall(effect) }];
+  return {
+    type: 'ArrowFunction',
+    params: effect.async ? ['signal'] : [],
+    body: { type: 'Block', body: [...body, ...(effect.cleanup?.body || [])] },
+    async: effect.async
+  };
+}
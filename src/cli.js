@@ -7,8 +7,10 @@ import { program } from 'commander';
 import chalk from 'chalk';
 import { tokenize } from './tokenizer-ts.js';
 import { parse } from './parser-ts.js';
-import { generate } from './generator.js';
 import { generateTypeScript } from './generator-ts.js';
+import { analyze } from './analyzer.js';
+import { JsxDslError } from './errors.js';
+import { getDslExtension, componentNameFromPath, hookNameFromPath } from './file-names.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,93 +20,93 @@ const __dirname = dirname(__filename);
  * component name derivation, and default output path.
  */
 export function getFileInfo(filePath) {
-  const isTsxDsl = filePath.endsWith('.tsx.dsl');
-  const isJsxDsl = filePath.endsWith('.jsx.dsl');
-  const extension = isTsxDsl ? '.tsx.dsl' : isJsxDsl ? '.jsx.dsl' : null;
-
-  // Derive component name from file basename
-  const baseName = extension ? basename(filePath, extension) : basename(filePath);
-  const componentName = baseName
-    .replace(/^\w/, c => c.toUpperCase())
-    .replace(/-(\w)/g, (_, c) => c.toUpperCase());
+  const extension = getDslExtension(filePath);
+  const hookName = hookNameFromPath(filePath);
+  // Hooks are plain TypeScript modules
+  const isTypeScript = extension === '.tsx.dsl' || hookName !== null;
+  const componentName = componentNameFromPath(filePath);
 
   // Derive default output path
-  const outputExtension = isTsxDsl ? '.tsx' : '.jsx';
+  const outputExtension = hookName ? '.ts' : isTypeScript ? '.tsx' : '.jsx';
   const defaultOutput = extension
     ? filePath.replace(new RegExp(`\\${extension}$`), outputExtension)
     : filePath;
 
   return {
-    isTypeScript: isTsxDsl,
+    isTypeScript,
     componentName,
+    hookName,
     extension,
     defaultOutput
   };
 }
 
 function compile(inputFile, options) {
+  let input;
   try {
     // Read input file
     console.log(chalk.blue(`📖 Reading ${inputFile}...`));
-    const input = readFileSync(inputFile, 'utf8');
+    input = readFileSync(inputFile, 'utf8');
 
     // Tokenize
     console.log(chalk.yellow('🔤 Tokenizing...'));
     const tokens = tokenize(input);
 
-    // Parse
+    // Parse, collecting every problem instead of stopping at the first
     console.log(chalk.yellow('🌳 Parsing...'));
-    const ast = parse(tokens);
+    const parsed = parse(tokens, { recover: true });
+    const { ast } = parsed;
+
+    // Resolve names only in a complete AST; a partial one would report false undefined names
+    console.log(chalk.yellow('🔎 Analyzing...'));
+    const analysis = parsed.errors.length === 0 ? analyze(ast, { globals: options.globals }) : { errors: [], warnings: [] };
+    const errors = [...parsed.errors, ...analysis.errors];
+    const warnings = [...parsed.warnings, ...analysis.warnings];
+
+    for (const warning of warnings) {
+      warning.file = inputFile;
+      console.warn(chalk.yellow(warning.format(input)));
+    }
+    if (errors.length > 0) {
+      throw new AggregateError(errors, `${errors.length} error(s)`);
+    }
 
     // Get file information and detect TypeScript mode
     const fileInfo = getFileInfo(inputFile);
-    const isTypeScript = options.typescript || fileInfo.isTypeScript || options.output?.endsWith('.tsx');
+    const isTypeScript = options.typescript || fileInfo.isTypeScript || /\.tsx?$/.test(options.output || '');
     const componentName = fileInfo.componentName;
 
-    if (isTypeScript) {
-      console.log(chalk.yellow('⚛️  Generating TypeScript React code...'));
-
-      const outputFile = options.output || fileInfo.defaultOutput;
-      const { code, map } = generateTypeScript(ast, inputFile, {
-        outputFile,
-        componentName,
-        generateSourceMap: options.sourcemap
-      });
-
-      // Write output files
-      console.log(chalk.blue(`✍️  Writing to ${outputFile}...`));
-      writeFileSync(outputFile, code);
-
-      if (options.sourcemap && map) {
-        const mapFile = `${outputFile}.map`;
-        console.log(chalk.blue(`🗺️  Writing source map to ${mapFile}...`));
-        writeFileSync(mapFile, map);
-
-        // Add source map reference to the generated file
-        const codeWithMap = code + `\n//# sourceMappingURL=${basename(mapFile)}`;
-        writeFileSync(outputFile, codeWithMap);
-      }
-
-      console.log(chalk.green(`✅ Successfully compiled ${inputFile} to ${outputFile}`));
-
-      if (options.verbose) {
-        console.log(chalk.gray('\n' + code));
-      }
-
-    } else {
-      console.log(chalk.yellow('⚛️  Generating React code...'));
-
-      const outputFile = options.output || fileInfo.defaultOutput;
-      const reactCode = generate(ast);
-
-      console.log(chalk.blue(`✍️  Writing to ${outputFile}...`));
-      writeFileSync(outputFile, reactCode);
+    console.log(chalk.yellow(isTypeScript ? '⚛️  Generating TypeScript React code...' : '⚛️  Generating React code...'));
+
+    const outputFile = options.output || fileInfo.defaultOutput;
+    const { code, map } = generateTypeScript(ast, inputFile, {
+      typescript: isTypeScript,
+      outputFile,
+      componentName,
+      hookName: fileInfo.hookName,
+      generateSourceMap: options.sourcemap,
+      sourceContent: input,
+      propTypes: options.propTypes
+    });
+
+    // Write output files
+    console.log(chalk.blue(`✍️  Writing to ${outputFile}...`));
+    writeFileSync(outputFile, code);
+
+    if (options.sourcemap && map) {
+      const mapFile = `${outputFile}.map`;
+      console.log(chalk.blue(`🗺️  Writing source map to ${mapFile}...`));
+      writeFileSync(mapFile, map);
+
+      // Add source map reference to the generated file
+      const codeWithMap = code + `\n//# sourceMappingURL=${basename(mapFile)}`;
+      writeFileSync(outputFile, codeWithMap);
+    }
 
-      console.log(chalk.green(`✅ Successfully compiled ${inputFile} to ${outputFile}`));
+    console.log(chalk.green(`✅ Successfully compiled ${inputFile} to ${outputFile}`));
 
-      if (options.verbose) {
-        console.log(chalk.gray('\n' + reactCode));
-      }
+    if (options.verbose) {
+      console.log(chalk.gray('\n' + code));
     }
 
     // Show stats if requested
@@ -119,7 +121,15 @@ function compile(inputFile, options) {
 
   } catch (error) {
     console.error(chalk.red('❌ Compilation failed:'));
-    console.error(chalk.red(error.message));
+    const diagnostics = error instanceof AggregateError ? error.errors : [error];
+    for (const diagnostic of diagnostics) {
+      if (diagnostic instanceof JsxDslError) {
+        diagnostic.file = inputFile;
+        console.error(chalk.red(diagnostic.format(input) + '\n'));
+      } else {
+        console.error(chalk.red(diagnostic.message));
+      }
+    }
 
     if (options.debug) {
       console.error(chalk.gray(error.stack));
@@ -148,10 +158,12 @@ program
   .name('jsx-dsl')
   .description('Fast DSL Compiler with TypeScript and Source Map support')
   .version('2.0.0')
-  .argument('<input>', 'Input DSL file (.jsx.dsl or .tsx.dsl)')
+  .argument('<input>', 'Input DSL file (.jsx.dsl, .tsx.dsl or .hook.dsl)')
   .option('-o, --output <file>', 'Output file path')
   .option('-t, --typescript', 'Generate TypeScript (.tsx) output')
   .option('-s, --sourcemap', 'Generate source maps')
+  .option('--prop-types', 'Add propTypes validation to JavaScript output')
+  .option('--globals <names>', 'Comma-separated names defined by the environment, e.g. gtag,dataLayer', value => value.split(',').map(name => name.trim()).filter(Boolean))
   .option('-w, --watch', 'Watch mode - recompile on file changes')
   .option('-v, --verbose', 'Show generated code in console')
   .option('--stats', 'Show compilation statistics')
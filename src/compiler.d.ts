@@ -0,0 +1,11 @@
+export {
+  tokenize,
+  parse,
+  analyze,
+  generate,
+  generateTypeScript,
+  TOKEN_TYPES,
+  ERROR_CODES,
+  JsxDslError,
+  formatCodeFrame,
+} from './index.js';
@@ -0,0 +1,9 @@
+// Compiler-only entry point: everything needed to compile DSL source,
+// without the runtime compiler and its React dependency
+
+export { tokenize, TOKEN_TYPES } from './tokenizer-ts.js';
+export { parse } from './parser-ts.js';
+export { generate } from './generator.js';
+export { generateTypeScript } from './generator-ts.js';
+export { analyze } from './analyzer.js';
+export { JsxDslError, ERROR_CODES, formatCodeFrame } from './errors.js';
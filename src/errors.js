@@ -0,0 +1,123 @@
+// Compile diagnostics for JSX DSL
+
+// Error codes carried by JsxDslError
+export const ERROR_CODES = {
+  // Tokenizer
+  UNEXPECTED_CHARACTER: 'UNEXPECTED_CHARACTER',
+  UNTERMINATED_STRING: 'UNTERMINATED_STRING',
+  UNTERMINATED_TEMPLATE: 'UNTERMINATED_TEMPLATE',
+  UNTERMINATED_COMMENT: 'UNTERMINATED_COMMENT',
+
+  // Parser
+  UNEXPECTED_TOKEN: 'UNEXPECTED_TOKEN',
+  INVALID_ASSIGNMENT: 'INVALID_ASSIGNMENT',
+  INVALID_IMPORT: 'INVALID_IMPORT',
+  MISMATCHED_TAG: 'MISMATCHED_TAG',
+  UNCLOSED_TAG: 'UNCLOSED_TAG',
+  INVALID_SPECIAL_TAG: 'INVALID_SPECIAL_TAG',
+  INVALID_COMPONENT: 'INVALID_COMPONENT',
+  INVALID_HOOK: 'INVALID_HOOK',
+
+  // Analyzer
+  UNDEFINED_REFERENCE: 'UNDEFINED_REFERENCE',
+  DUPLICATE_DECLARATION: 'DUPLICATE_DECLARATION',
+  SETTER_COLLISION: 'SETTER_COLLISION',
+  USE_BEFORE_DECLARATION: 'USE_BEFORE_DECLARATION',
+
+  // Generator
+  UNKNOWN_COLLECTION: 'UNKNOWN_COLLECTION',
+
+  // Warnings
+  IGNORED_TOKEN: 'IGNORED_TOKEN',
+  UNUSED_DECLARATION: 'UNUSED_DECLARATION',
+  NO_EXPORTS: 'NO_EXPORTS',
+};
+
+/**
+ * A compile diagnostic with a source location.
+ * Lines and columns are 1-based; the end position is exclusive.
+ * Thrown as an error, or collected with severity 'warning' by the recovering parser.
+ */
+export class JsxDslError extends Error {
+  constructor(message, { code = ERROR_CODES.UNEXPECTED_TOKEN, severity = 'error', file = null, line = null, column = null, endLine = line, endColumn = column === null ? null : column + 1 } = {}) {
+    super(message);
+    this.name = 'JsxDslError';
+    this.code = code;
+    this.severity = severity;
+    this.file = file;
+    this.line = line;
+    this.column = column;
+    this.endLine = endLine;
+    this.endColumn = endColumn;
+  }
+
+  /**
+   * Create an error spanning a token
+   * @param {string} message - Error message
+   * @param {Object} token - Token from tokenize()
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} severity - 'error' or 'warning'
+   */
+  static atToken(message, token, code = ERROR_CODES.UNEXPECTED_TOKEN, severity = 'error') {
+    return new JsxDslError(message, {
+      code,
+      severity,
+      line: token?.line ?? null,
+      column: token?.column ?? null,
+      endLine: token?.endLine ?? token?.line ?? null,
+      endColumn: token?.endColumn ?? (token?.column != null ? token.column + 1 : null)
+    });
+  }
+
+  /**
+   * "file:line:column" for the start of the error, omitting unknown parts
+   */
+  get location() {
+    const parts = [this.file || '<input>'];
+    if (this.line !== null) parts.push(this.line);
+    if (this.column !== null) parts.push(this.column);
+    return parts.join(':');
+  }
+
+  /**
+   * Render the error with its location and, given the source, a code frame
+   * @param {string} source - The DSL source the error was raised for
+   * @returns {string}
+   */
+  format(source) {
+    const label = this.severity === 'warning' ? `warning ${this.code}` : this.code;
+    const header = `${this.location} - ${label}: ${this.message}`;
+    if (source === undefined || this.line === null) return header;
+    return `${header}\n\n${formatCodeFrame(source, this)}`;
+  }
+}
+
+/**
+ * Render the lines around a location with a caret marker under the span
+ * @param {string} source - Full source text
+ * @param {Object} loc - { line, column, endLine, endColumn } (1-based)
+ * @param {Object} options - { linesAbove, linesBelow }
+ * @returns {string}
+ */
+export function formatCodeFrame(source, { line, column, endLine = line, endColumn }, { linesAbove = 2, linesBelow = 2 } = {}) {
+  const lines = source.split(/\r?\n/);
+  const start = Math.max(1, line - linesAbove);
+  const end = Math.min(lines.length, line + linesBelow);
+  const gutterWidth = String(end).length;
+
+  const frame = [];
+  for (let current = start; current <= end; current++) {
+    const gutter = String(current).padStart(gutterWidth);
+    const text = lines[current - 1] ?? '';
+    frame.push(`${current === line ? '>' : ' '} ${gutter} | ${text}`.trimEnd());
+
+    if (current === line && column !== null) {
+      // Spans on one line are underlined fully; longer spans mark the start
+      const width = endLine === line && endColumn > column ? endColumn - column : 1;
+      const padding = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(gutterWidth)} | ${padding}${'^'.repeat(width)}`);
+    }
+  }
+
+  return frame.join('\n');
+}
@@ -0,0 +1,45 @@
+// File naming rules shared by the CLI, the bundler plugins and the editor
+import { basename } from 'path';
+
+/**
+ * Get the DSL extension from a file path
+ * @param {string} filePath
+ * @returns {'.tsx.dsl'|'.jsx.dsl'|'.hook.dsl'|null}
+ */
+export function getDslExtension(filePath) {
+  if (filePath.endsWith('.tsx.dsl')) return '.tsx.dsl';
+  if (filePath.endsWith('.jsx.dsl')) return '.jsx.dsl';
+  if (filePath.endsWith('.hook.dsl')) return '.hook.dsl';
+  return null;
+}
+
+/**
+ * Name of the component a file compiles to: its basename without the DSL
+ * extension in PascalCase, e.g. my-counter.tsx.dsl becomes MyCounter
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function componentNameFromPath(filePath) {
+  const extension = getDslExtension(filePath);
+  const baseName = extension ? basename(filePath, extension) : basename(filePath);
+  const name = baseName
+    .split(/[^a-zA-Z0-9]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  // Identifiers cannot start with a digit
+  if (!name) return 'Component';
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Name of the hook a .hook.dsl file compiles to, with the `use` prefix added
+ * when the file does not have it: counter.hook.dsl and use-counter.hook.dsl
+ * both become useCounter. Null for other files.
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+export function hookNameFromPath(filePath) {
+  if (getDslExtension(filePath) !== '.hook.dsl') return null;
+  return `use${componentNameFromPath(filePath).replace(/^Use(?![a-z])/, '')}`;
+}
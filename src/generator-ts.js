@@ -1,280 +1,601 @@
 import { SourceMapGenerator } from 'source-map';
-
+import { JsxDslError, ERROR_CODES } from './errors.js';
+import { createWalker, reactiveNames } from './analyzer.js';
+import { boundNames } from './parser-ts.js';
+import { importedLocalNames, effectFunction } from './ast-helpers.js';
+
+/**
+ * Generate a React component from an AST, with a source map.
+ * Emits TSX by default; `typescript: false` emits the same code as plain JSX
+ * without type annotations.
+ */
 export function generateTypeScript(ast, sourceFile, options = {}) {
+  const typescript = options.typescript ?? true;
   const lines = [];
   const sourceMap = new SourceMapGenerator({
-    file: options.outputFile || 'output.tsx'
+    file: options.outputFile || (typescript ? 'output.tsx' : 'output.jsx')
   });
 
-  let currentLine = 1;
-  let currentColumn = 0;
+  if (sourceFile && options.sourceContent != null) {
+    sourceMap.setSourceContent(sourceFile, options.sourceContent);
+  }
 
-  const addLine = (content, originalLine = null) => {
-    if (originalLine && sourceFile) {
-      sourceMap.addMapping({
-        generated: { line: currentLine, column: 0 },
-        source: sourceFile,
-        original: { line: originalLine, column: 0 }
-      });
-    }
-    lines.push(content);
-    currentLine++;
+  // Source positions are marked inline as code is emitted and turned into
+  // mappings once the output is assembled and generated columns are known
+  const markedLocations = [];
+  const mark = (loc) => {
+    if (!sourceFile || !loc) return '';
+    markedLocations.push(loc);
+    return `${MARKER_START}${markedLocations.length - 1}${MARKER_END}`;
   };
 
-  // Component name (derived from filename or default)
-  const componentName = options.componentName || 'Component';
-
-  // Check if we need forwardRef
-  const hasHandles = ast.handles?.length > 0;
-
-  // Generate imports - only import what we need
-  const imports = ['React'];
-  if (hasHandles) imports.push('forwardRef');
-  if (ast.states.length > 0) imports.push('useState');
-  if (ast.reducers?.length > 0) imports.push('useReducer');
-  if (ast.transitions?.length > 0) imports.push('useTransition');
-  if (ast.contexts?.length > 0) imports.push('useContext');
-  if (ast.callbacks?.length > 0) imports.push('useCallback');
-  if (ast.refs?.length > 0) imports.push('useRef');
-  if (hasHandles) imports.push('useImperativeHandle');
-  if (ast.effects.length > 0) imports.push('useEffect');
-  if (ast.layoutEffects?.length > 0) imports.push('useLayoutEffect');
-  if (ast.memos.length > 0) imports.push('useMemo');
-  if (ast.deferredValues?.length > 0) imports.push('useDeferredValue');
-  if (ast.optimistics?.length > 0) imports.push('useOptimistic');
-  if (ast.ids?.length > 0) imports.push('useId');
-  if (ast.syncs?.length > 0) imports.push('useSyncExternalStore');
-  if (ast.actionStates?.length > 0) imports.push('useActionState');
-
-  const importList = imports.length > 1
-    ? `React, { ${imports.slice(1).join(', ')} }`
-    : 'React';
-
-  addLine(`import ${importList} from 'react';`);
-
-  // Generate imports for context objects
-  for (const context of ast.contexts || []) {
-    const contextObjectName = `${capitalize(context.name)}Context`;
-    addLine(`import { ${contextObjectName} } from './${contextObjectName}';`);
-  }
+  const addLine = (content) => {
+    // Multi-line content (block-bodied arrows) keeps the first line's indentation
+    const indent = content.match(/^\s*/)[0];
+    lines.push(content.split('\n').join('\n' + indent));
+  };
 
-  addLine('');
+  // Type arguments such as useState<number>, dropped from JavaScript output
+  const typeArguments = (type) => (typescript && type ? `<${typeToTypeScript(type)}>` : '');
+
+  // Emit one component: its props interface, reducers, function and exports.
+  // Hooks take their props as parameters and return a value instead of JSX.
+  const generateComponent = (ast) => {
+    const componentName = ast.name;
+    const exportKeyword = ast.exported === 'named' ? 'export ' : '';
+    const hasHandles = ast.handles?.length > 0;
+    const usePropTypes = usesPropTypes(ast);
+
+    // Dependency arrays list the reactive names a hook reads, unless `[deps ...]` overrides them
+    const reactive = reactiveNames(ast);
+    const dependencyList = (override, expr) => (override
+      ? override.map(dep => expressionToJS(dep))
+      : extractDependencies(expr, reactive)
+    ).join(', ');
+
+    // Effects run their statements, then return the cleanup if there is one.
+    // Writes to state become setter calls, as in handlers, so state the effect
+    // only writes stays out of its dependencies.
+    // Async bodies run in an IIFE that stops at the next statement after an
+    // await once the effect is torn down. A setter given an awaited value,
+    // setData(await res.json()), awaits into a local first so a stale result is
+    // never written. Errors are logged rather than rethrown, since nothing
+    // awaits the IIFE; those caused by the abort are dropped.
+    const states = statesByName(ast.states);
+    const setters = new Set(ast.states.map(state => `set${capitalize(state.name)}`));
+    const awaitedWrite = (statement) => {
+      const call = statement.type === 'ExpressionStatement' ? statement.expression : null;
+      if (call?.type !== 'Call' || call.callee.type !== 'Identifier' || !setters.has(call.callee.name)) return null;
+      return call.args.length === 1 && containsAwait(call.args[0]) ? call : null;
+    };
+    const generateEffect = (hook, effect) => {
+      const fn = withStateSetters(effectFunction(effect), states);
+      const deps = dependencyList(effect.deps, fn);
+      const bodyLength = effect.body ? effect.body.body.length : 1;
+      const body = fn.body.body.slice(0, bodyLength);
+      const statements = body.map(statement => statementToJS(statement));
+      if (!effect.body) statements[0] = `${mark(effect.loc)}${statements[0]}`;
+      const cleanup = fn.body.body.slice(bodyLength).map(statement => statementToJS(statement));
+
+      addLine(`  ${mark(effect.loc)}${hook}(() => {`);
+      if (effect.async) {
+        const used = new Set();
+        createWalker(name => used.add(name)).expression(fn, new Set());
+        body.forEach(statement => {
+          if (statement.type === 'VariableDeclaration') {
+            statement.declarations.forEach(({ id }) => boundNames(id).forEach(name => used.add(name)));
+          }
+        });
+        const fresh = base => {
+          let candidate = base;
+          for (let n = 2; used.has(candidate); n++) candidate = `${base}${n}`;
+          used.add(candidate);
+          return candidate;
+        };
+
+        addLine('    const controller = new AbortController();');
+        addLine('    const { signal } = controller;');
+        addLine('    (async () => {');
+        body.forEach((statement, index) => {
+          const write = awaitedWrite(statement);
+          if (write) {
+            const value = fresh(`next${write.callee.name.slice(3)}`);
+            addLine(`      const ${value} = ${expressionToJS(write.args[0])};`);
+            addLine('      if (signal.aborted) return;');
+            addLine(`      ${write.callee.name}(${value});`);
+            return;
+          }
+          addLine(`      ${statements[index]}`);
+          const isLast = index === body.length - 1;
+          if (!isLast && containsAwait(statement)) addLine('      if (signal.aborted) return;');
+        });
+        addLine('    })().catch(error => {');
+        addLine('      if (!signal.aborted) console.error(error);');
+        addLine('    });');
+        cleanup.unshift('controller.abort();');
+      } else {
+        statements.forEach(statement => addLine(`    ${statement}`));
+      }
+      if (cleanup.length > 0) {
+        addLine('    return () => {');
+        cleanup.forEach(statement => addLine(`      ${statement}`));
+        addLine('    };');
+      }
+      addLine(`  }, [${deps}]);`);
+    };
+
+    // Generate TypeScript interfaces for props. Rest props extend the props of
+    // the element they are spread onto, minus the ones declared by name.
+    const restProp = ast.props.find(prop => prop.rest);
+    const namedProps = ast.props.filter(prop => !prop.rest);
+    if (typescript && ast.props.length > 0 && !ast.hook) {
+      let heritage = '';
+      if (restProp) {
+        const restType = typeToTypeScript(restProp.type) || restPropsType(ast.jsx, restProp.name);
+        heritage = namedProps.length > 0
+          ? ` extends Omit<${restType}, ${namedProps.map(prop => `'${prop.name}'`).join(' | ')}>`
+          : ` extends ${restType}`;
+      }
+      const opening = `${mark(restProp?.loc)}interface ${componentName}Props${heritage} {`;
+      if (namedProps.length === 0) {
+        addLine(`${opening}}`);
+      } else {
+        addLine(opening);
+        for (const prop of namedProps) {
+          const typeStr = typeToTypeScript(prop.type) || (prop.name === 'children' ? 'React.ReactNode' : 'any');
+          if (prop.docComment) {
+            addLine(`  ${docCommentToJS(prop.docComment)}`);
+          }
+          addLine(`  ${mark(prop.loc)}${prop.name}${isOptionalProp(prop) ? '?' : ''}: ${typeStr};`);
+        }
+        addLine('}');
+      }
+      addLine('');
+    }
 
-  // Generate TypeScript interfaces for props
-  if (ast.props.length > 0) {
-    addLine(`interface ${componentName}Props {`);
-    for (const prop of ast.props) {
-      const typeStr = typeToTypeScript(prop.type) || 'any';
-      addLine(`  ${prop.name}: ${typeStr};`);
+    // Generate reducer functions. In TypeScript their actions are a union
+    // discriminated by `type`, with a `payload` for actions that take one.
+    for (const reducer of ast.reducers || []) {
+      const reducerName = `${reducer.name}Reducer`;
+      const actionType = `${capitalize(reducer.name)}Action`;
+      let signature = '(state, action)';
+      if (typescript) {
+        const members = reducer.actions.map(action => {
+          const payload = reducerPayload(action);
+          return `{ type: '${action.name}'${payload ? `; payload: ${payload.type}` : ''} }`;
+        });
+        if (members.length > 1) {
+          addLine(`${mark(reducer.loc)}type ${actionType} =`);
+          members.forEach((member, index) => addLine(`  | ${member}${index === members.length - 1 ? ';' : ''}`));
+        } else {
+          addLine(`${mark(reducer.loc)}type ${actionType} = ${members[0] ?? '{ type: string }'};`);
+        }
+        addLine('');
+        const stateType = typeToTypeScript(reducer.type) || literalType(reducer.initialValue) || 'any';
+        signature = `(state: ${stateType}, action: ${actionType}): ${stateType}`;
+      }
+      addLine(`${mark(reducer.loc)}function ${reducerName}${signature} {`);
+      addLine(`  switch (action.type) {`);
+      for (const action of reducer.actions) {
+        addLine(`    ${mark(action.loc)}${reducerCaseToJS(action)}`);
+      }
+      addLine(`    default: return state;`);
+      addLine(`  }`);
+      addLine(`}`);
+      addLine('');
     }
-    addLine('}');
-    addLine('');
-  }
 
-  // Generate reducer functions
-  for (const reducer of ast.reducers || []) {
-    const reducerName = `${reducer.name}Reducer`;
-    addLine(`function ${reducerName}(state, action) {`);
-    addLine(`  switch (action.type) {`);
-    for (const action of reducer.actions) {
-      const body = arrowFunctionBodyToJS(action.handler, 'state');
-      addLine(`    case '${action.name}': return ${body};`);
+    // Start component function
+    const propsType = typescript ? `: ${componentName}Props` : '';
+    // Defaults are destructuring defaults; the rest element has to come last
+    const propParam = (prop) => {
+      if (prop.rest) return `${mark(prop.loc)}...${prop.name}`;
+      const defaultValue = prop.defaultValue ? ` = ${operandToJS(prop.defaultValue, 2)}` : '';
+      return `${mark(prop.loc)}${prop.name}${defaultValue}`;
+    };
+    const propsParam = ast.props.length > 0
+      ? `{ ${[...namedProps, ...(restProp ? [restProp] : [])].map(propParam).join(', ')} }${propsType}`
+      : '';
+
+    // Hook parameters are positional, typed inline and documented with @param
+    const hookParam = (prop) => {
+      const type = typescript ? `: ${typeToTypeScript(prop.type) || (prop.rest ? 'any[]' : 'any')}` : '';
+      if (prop.rest) return `${mark(prop.loc)}...${prop.name}${type}`;
+      const optional = typescript && prop.optional && !prop.defaultValue ? '?' : '';
+      const defaultValue = prop.defaultValue ? ` = ${operandToJS(prop.defaultValue, 2)}` : '';
+      return `${mark(prop.loc)}${prop.name}${optional}${type}${defaultValue}`;
+    };
+
+    if (ast.hook) {
+      const documented = ast.props.filter(prop => prop.docComment);
+      if (documented.length > 0) {
+        addLine(docCommentToJS(documented.map(prop => `@param ${prop.name} ${prop.docComment}`).join('\n')));
+      }
+      const params = [...namedProps, ...(restProp ? [restProp] : [])].map(hookParam).join(', ');
+      addLine(`${mark(ast.loc)}${exportKeyword}function ${componentName}(${params}) {`);
+    } else if (hasHandles) {
+      // Wrap with forwardRef
+      const propsParamForRef = ast.props.length > 0 ? propsParam : 'props';
+      addLine(`${mark(ast.loc)}${exportKeyword}const ${componentName} = forwardRef((${propsParamForRef}, ref) => {`);
+    } else {
+      addLine(`${mark(ast.loc)}${exportKeyword}function ${componentName}(${propsParam}) {`);
     }
-    addLine(`    default: return state;`);
-    addLine(`  }`);
-    addLine(`}`);
-    addLine('');
-  }
 
-  // Start component function
-  const propsParam = ast.props.length > 0
-    ? `{ ${ast.props.map(p => p.name).join(', ')} }: ${componentName}Props`
-    : '';
+    // Hooks and event handlers are emitted in source order, so each can use
+    // what is declared above it. Runs of one kind are kept together.
+    const declarations = [];
+    const declare = (kind, loc, emit) => declarations.push({ kind, loc, emit });
 
-  if (hasHandles) {
-    // Wrap with forwardRef
-    const propsParamForRef = ast.props.length > 0 ? propsParam : 'props';
-    addLine(`const ${componentName} = forwardRef((${propsParamForRef}, ref) => {`);
-  } else {
-    addLine(`function ${componentName}(${propsParam}) {`);
-  }
+    for (const state of ast.states) {
+      declare('state', state.loc, () => {
+        const initialValue = expressionToJS(state.initialValue);
+        addLine(`  ${mark(state.loc)}const [${state.name}, set${capitalize(state.name)}] = useState${typeArguments(state.type)}(${initialValue});`);
+      });
+    }
 
-  // Generate state declarations with types
-  for (const state of ast.states) {
-    const initialValue = expressionToJS(state.initialValue);
-    const typeAnnotation = state.type ? `<${typeToTypeScript(state.type)}>` : '';
-    addLine(`  const [${state.name}, set${capitalize(state.name)}] = useState${typeAnnotation}(${initialValue});`);
-  }
-  if (ast.states.length > 0) addLine('');
+    for (const id of ast.ids || []) {
+      declare('id', id.loc, () => addLine(`  ${mark(id.loc)}const ${id.name} = useId();`));
+    }
 
-  // Generate useId hooks
-  for (const id of ast.ids || []) {
-    addLine(`  const ${id.name} = useId();`);
-  }
-  if (ast.ids?.length > 0) addLine('');
+    for (const deferred of ast.deferredValues || []) {
+      declare('deferred', deferred.loc, () => {
+        const sourceValue = expressionToJS(deferred.sourceValue);
+        addLine(`  ${mark(deferred.loc)}const ${deferred.name} = useDeferredValue(${sourceValue});`);
+      });
+    }
 
-  // Generate useDeferredValue hooks
-  for (const deferred of ast.deferredValues || []) {
-    const sourceValue = expressionToJS(deferred.sourceValue);
-    addLine(`  const ${deferred.name} = useDeferredValue(${sourceValue});`);
-  }
-  if (ast.deferredValues?.length > 0) addLine('');
+    for (const optimistic of ast.optimistics || []) {
+      declare('optimistic', optimistic.loc, () => {
+        const state = expressionToJS(optimistic.state);
+        const updateFn = expressionToJS(optimistic.updateFn);
+        const addFnName = `add${capitalize(optimistic.name)}`;
+        addLine(`  ${mark(optimistic.loc)}const [${optimistic.name}, ${addFnName}] = useOptimistic(${state}, ${updateFn});`);
+      });
+    }
 
-  // Generate useOptimistic hooks
-  for (const optimistic of ast.optimistics || []) {
-    const state = expressionToJS(optimistic.state);
-    const updateFn = expressionToJS(optimistic.updateFn);
-    const addFnName = `add${capitalize(optimistic.name)}`;
-    addLine(`  const [${optimistic.name}, ${addFnName}] = useOptimistic(${state}, ${updateFn});`);
-  }
-  if (ast.optimistics?.length > 0) addLine('');
+    for (const sync of ast.syncs || []) {
+      declare('sync', sync.loc, () => {
+        const subscribe = expressionToJS(sync.subscribe);
+        const getSnapshot = expressionToJS(sync.getSnapshot);
+        if (sync.getServerSnapshot) {
+          const getServerSnapshot = expressionToJS(sync.getServerSnapshot);
+          addLine(`  ${mark(sync.loc)}const ${sync.name} = useSyncExternalStore(${subscribe}, ${getSnapshot}, ${getServerSnapshot});`);
+        } else {
+          addLine(`  ${mark(sync.loc)}const ${sync.name} = useSyncExternalStore(${subscribe}, ${getSnapshot});`);
+        }
+      });
+    }
 
-  // Generate useSyncExternalStore hooks
-  for (const sync of ast.syncs || []) {
-    const subscribe = expressionToJS(sync.subscribe);
-    const getSnapshot = expressionToJS(sync.getSnapshot);
-    if (sync.getServerSnapshot) {
-      const getServerSnapshot = expressionToJS(sync.getServerSnapshot);
-      addLine(`  const ${sync.name} = useSyncExternalStore(${subscribe}, ${getSnapshot}, ${getServerSnapshot});`);
-    } else {
-      addLine(`  const ${sync.name} = useSyncExternalStore(${subscribe}, ${getSnapshot});`);
+    for (const actionState of ast.actionStates || []) {
+      declare('action', actionState.loc, () => {
+        const actionFn = expressionToJS(actionState.actionFn);
+        const initialState = expressionToJS(actionState.initialState);
+        const formActionName = `${actionState.name}Action`;
+        const isPendingName = `isPending${capitalize(actionState.name)}`;
+        addLine(`  ${mark(actionState.loc)}const [${actionState.name}, ${formActionName}, ${isPendingName}] = useActionState(${actionFn}, ${initialState});`);
+      });
     }
-  }
-  if (ast.syncs?.length > 0) addLine('');
 
-  // Generate useActionState hooks
-  for (const actionState of ast.actionStates || []) {
-    const actionFn = expressionToJS(actionState.actionFn);
-    const initialState = expressionToJS(actionState.initialState);
-    const formActionName = `${actionState.name}Action`;
-    const isPendingName = `isPending${capitalize(actionState.name)}`;
-    addLine(`  const [${actionState.name}, ${formActionName}, ${isPendingName}] = useActionState(${actionFn}, ${initialState});`);
-  }
-  if (ast.actionStates?.length > 0) addLine('');
+    for (const reducer of ast.reducers || []) {
+      declare('reducer', reducer.loc, () => {
+        const reducerName = `${reducer.name}Reducer`;
+        const dispatchName = `dispatch${capitalize(reducer.name)}`;
+        const initialValue = expressionToJS(reducer.initialValue);
+        addLine(`  ${mark(reducer.loc)}const [${reducer.name}, ${dispatchName}] = useReducer(${reducerName}, ${initialValue});`);
+        // Helpers that dispatch each action, e.g. increment() or addTodo(todo)
+        for (const action of reducer.actions) {
+          const payload = reducerPayload(action);
+          const param = payload ? `${payload.name}${typescript ? `: ${payload.type}` : ''}` : '';
+          const payloadProperty = !payload ? '' : payload.name === 'payload' ? ', payload' : `, payload: ${payload.name}`;
+          addLine(`  ${mark(action.loc)}const ${action.name} = (${param}) => ${dispatchName}({ type: '${action.name}'${payloadProperty} });`);
+        }
+      });
+    }
 
-  // Generate useReducer hooks
-  for (const reducer of ast.reducers || []) {
-    const reducerName = `${reducer.name}Reducer`;
-    const dispatchName = `dispatch${capitalize(reducer.name)}`;
-    const initialValue = expressionToJS(reducer.initialValue);
-    addLine(`  const [${reducer.name}, ${dispatchName}] = useReducer(${reducerName}, ${initialValue});`);
-  }
-  if (ast.reducers?.length > 0) addLine('');
+    for (const transition of ast.transitions || []) {
+      declare('transition', transition.loc, () => {
+        const isPendingName = `isPending${capitalize(transition.name)}`;
+        const startTransitionName = `start${capitalize(transition.name)}Transition`;
+        addLine(`  ${mark(transition.loc)}const [${isPendingName}, ${startTransitionName}] = useTransition();`);
+      });
+    }
 
-  // Generate useTransition hooks
-  for (const transition of ast.transitions || []) {
-    const isPendingName = `isPending${capitalize(transition.name)}`;
-    const startTransitionName = `start${capitalize(transition.name)}Transition`;
-    addLine(`  const [${isPendingName}, ${startTransitionName}] = useTransition();`);
-  }
-  if (ast.transitions?.length > 0) addLine('');
+    for (const context of ast.contexts || []) {
+      declare('context', context.loc, () => {
+        const contextObjectName = `${capitalize(context.name)}Context`;
+        addLine(`  ${mark(context.loc)}const ${context.name} = useContext(${contextObjectName});`);
+      });
+    }
 
-  // Generate useContext hooks
-  for (const context of ast.contexts || []) {
-    const contextObjectName = `${capitalize(context.name)}Context`;
-    addLine(`  const ${context.name} = useContext(${contextObjectName});`);
-  }
-  if (ast.contexts?.length > 0) addLine('');
+    for (const ref of ast.refs || []) {
+      declare('ref', ref.loc, () => {
+        const initialValue = ref.initialValue ? expressionToJS(ref.initialValue) : 'null';
+        addLine(`  ${mark(ref.loc)}const ${ref.name} = useRef${typeArguments(ref.type)}(${initialValue});`);
+      });
+    }
 
-  // Generate useCallback hooks
-  for (const callback of ast.callbacks || []) {
-    const fn = expressionToJS(callback.value);
-    const allDeps = extractDependencies(callback.value.body);
-    // Filter out arrow function parameters from dependencies
-    const params = callback.value.params || [];
-    const deps = allDeps.filter(dep => !params.includes(dep));
-    addLine(`  const ${callback.name} = useCallback(${fn}, [${deps.join(', ')}]);`);
-  }
-  if (ast.callbacks?.length > 0) addLine('');
+    // Calls to other hooks
+    for (const hookCall of ast.hookCalls || []) {
+      declare('hook call', hookCall.loc, () => {
+        const typeArgs = typescript && hookCall.typeArguments.length > 0
+          ? `<${hookCall.typeArguments.map(typeToTypeScript).join(', ')}>`
+          : '';
+        const call = `${expressionToJS(hookCall.callee)}${typeArgs}(${hookCall.args.map(arg => expressionToJS(arg)).join(', ')})`;
+        if (hookCall.pattern) {
+          const type = typescript && hookCall.type ? `: ${typeToTypeScript(hookCall.type)}` : '';
+          addLine(`  ${mark(hookCall.loc)}const ${patternToJS(hookCall.pattern)}${type} = ${call};`);
+        } else {
+          addLine(`  ${mark(hookCall.loc)}${call};`);
+        }
+      });
+    }
 
-  // Generate useRef hooks
-  for (const ref of ast.refs || []) {
-    const initialValue = ref.initialValue ? expressionToJS(ref.initialValue) : 'null';
-    const typeAnnotation = ref.type ? `<${typeToTypeScript(ref.type)}>` : '';
-    addLine(`  const ${ref.name} = useRef${typeAnnotation}(${initialValue});`);
-  }
-  if (ast.refs?.length > 0) addLine('');
+    for (const callback of ast.callbacks || []) {
+      declare('callback', callback.loc, () => {
+        const fn = expressionToJS(callback.value);
+        // Arrow function parameters are scoped out of the dependencies
+        const deps = dependencyList(callback.deps, callback.value);
+        addLine(`  ${mark(callback.loc)}const ${callback.name} = useCallback(${fn}, [${deps}]);`);
+      });
+    }
 
-  // Generate useImperativeHandle hook
-  if (hasHandles) {
-    addLine(`  useImperativeHandle(ref, () => ({`);
-    for (const handle of ast.handles) {
-      const fn = expressionToJS(handle.value);
-      addLine(`    ${handle.name}: ${fn},`);
+    // One useImperativeHandle for all handles, where the first is declared
+    if (hasHandles) {
+      declare('handle', ast.handles[0].loc, () => {
+        addLine(`  useImperativeHandle(ref, () => ({`);
+        for (const handle of ast.handles) {
+          const fn = expressionToJS(handle.value);
+          addLine(`    ${mark(handle.loc)}${handle.name}: ${fn},`);
+        }
+        addLine(`  }));`);
+      });
     }
-    addLine(`  }));`);
-    addLine('');
-  }
 
-  // Generate memo declarations with types
-  for (const memo of ast.memos) {
-    const value = expressionToJS(memo.value);
-    const deps = extractDependencies(memo.value);
-    const typeAnnotation = memo.type ? `<${typeToTypeScript(memo.type)}>` : '';
-    addLine(`  const ${memo.name} = useMemo${typeAnnotation}(() => ${value}, [${deps.join(', ')}]);`);
-  }
-  if (ast.memos.length > 0) addLine('');
+    for (const memo of ast.memos) {
+      declare('memo', memo.loc, () => {
+        const factory = expressionToJS({ type: 'ArrowFunction', params: [], body: memo.value });
+        const deps = dependencyList(memo.deps, memo.value);
+        addLine(`  ${mark(memo.loc)}const ${memo.name} = useMemo${typeArguments(memo.type)}(${factory}, [${deps}]);`);
+      });
+    }
+
+    for (const effect of ast.effects) {
+      declare('effect', effect.loc, () => generateEffect('useEffect', effect));
+    }
+    for (const effect of ast.layoutEffects || []) {
+      declare('layout effect', effect.loc, () => generateEffect('useLayoutEffect', effect));
+    }
+
+    for (const [eventName, handler] of Object.entries(ast.events)) {
+      const loc = ast.eventLocations?.[eventName];
+      declare('event', loc, () => {
+        const handlerCode = generateEventHandler(handler, ast.states, { states: ast.states, typescript, mark });
+        addLine(`  ${mark(loc)}const ${eventName} = ${handlerCode};`);
+      });
+    }
 
-  // Generate effects
-  for (const effect of ast.effects) {
-    const deps = effect.args.map(arg => expressionToJS(arg));
-    if (effect.functionName === 'log') {
-      addLine(`  useEffect(() => {`);
-      addLine(`    console.log(${deps.join(', ')});`);
-      addLine(`  }, [${deps.join(', ')}]);`);
+    // Declarations without a location keep their place after the rest
+    declarations
+      .sort((a, b) => {
+        if (!a.loc || !b.loc) return !a.loc - !b.loc;
+        return a.loc.line - b.loc.line || a.loc.column - b.loc.column;
+      })
+      .forEach((declaration, index) => {
+        if (index > 0 && declaration.kind !== declarations[index - 1].kind) addLine('');
+        declaration.emit();
+      });
+    if (declarations.length > 0) addLine('');
+
+    if (ast.hook) {
+      // Generate the hook's return value, if it has one
+      if (ast.returns) {
+        addLine(`  ${mark(ast.returns.loc)}return ${expressionToJS(ast.returns.value)};`);
+      } else if (lines[lines.length - 1] === '') {
+        lines.pop();
+      }
     } else {
-      // Generic function call
-      addLine(`  useEffect(() => {`);
-      addLine(`    ${effect.functionName}(${deps.join(', ')});`);
-      addLine(`  }, [${deps.join(', ')}]);`);
+      // Generate return statement with JSX
+      addLine('  return (');
+      const jsxCode = generateJSX(ast.jsx, { events: ast.events, states: ast.states, typescript, mark }, 4);
+      lines.push(jsxCode);
+      addLine('  );');
     }
-  }
-  if (ast.effects.length > 0) addLine('');
 
-  // Generate layout effects
-  for (const effect of ast.layoutEffects || []) {
-    const deps = effect.args.map(arg => expressionToJS(arg));
-    if (effect.functionName === 'log') {
-      addLine(`  useLayoutEffect(() => {`);
-      addLine(`    console.log(${deps.join(', ')});`);
-      addLine(`  }, [${deps.join(', ')}]);`);
+    // Close component function
+    if (hasHandles) {
+      addLine('});');
     } else {
-      // Generic function call
-      addLine(`  useLayoutEffect(() => {`);
-      addLine(`    ${effect.functionName}(${deps.join(', ')});`);
-      addLine(`  }, [${deps.join(', ')}]);`);
+      addLine('}');
     }
-  }
-  if (ast.layoutEffects?.length > 0) addLine('');
+    addLine('');
 
-  // Generate event handlers from ast.events
-  for (const [eventName, handler] of Object.entries(ast.events)) {
-    const handlerCode = generateEventHandler(handler, ast.states);
-    addLine(`  const ${eventName} = ${handlerCode};`);
+    // Runtime prop validation, opt-in for JavaScript output
+    if (usePropTypes) {
+      addLine(`${componentName}.propTypes = {`);
+      for (const prop of namedProps) {
+        addLine(`  ${mark(prop.loc)}${prop.name}: ${propTypeOf(prop)},`);
+      }
+      addLine('};');
+      addLine('');
+    }
+
+    // Consumers can name what a hook returns
+    if (ast.hook && ast.returns && typescript) {
+      addLine(`export type ${capitalize(componentName)}Result = ReturnType<typeof ${componentName}>;`);
+    }
+
+    if (ast.exported === 'default') addLine(`export default ${componentName};`);
+  };
+
+  // A file that returns a value instead of rendering JSX is a custom hook,
+  // exported by name. `hookName` also makes a hook of a file without a return.
+  const hookName = options.hookName ?? (!ast.jsx && ast.returns ? `use${options.componentName || 'Hook'}` : null);
+
+  // The file's own component, named after the file, and its component blocks.
+  // A file without blocks compiles to just its own component.
+  const blocks = ast.components || [];
+  const components = hookName
+    ? [{ ...ast, name: hookName, exported: 'named', hook: true }, ...blocks]
+    : ast.jsx || blocks.length === 0
+      ? [{ ...ast, name: options.componentName || 'Component', exported: 'default' }, ...blocks]
+      : blocks;
+
+  // propTypes go on components with named props, when asked for in JavaScript output
+  const usesPropTypes = (component) => options.propTypes && !typescript && !component.hook &&
+    component.props.some(prop => !prop.rest);
+
+  // Imports declared in the DSL file are emitted in source order. Side-effect
+  // imports written first, such as a reset stylesheet or a polyfill, stay
+  // ahead of the generated React import.
+  const declaredImports = ast.imports || [];
+  const leading = declaredImports.findIndex(declaration => !isSideEffectImport(declaration));
+  const leadingImports = leading === -1 ? declaredImports : declaredImports.slice(0, leading);
+  for (const declaration of leadingImports) {
+    addLine(`${mark(declaration.loc)}${importToJS(declaration)}`);
   }
-  if (Object.keys(ast.events).length > 0) addLine('');
 
-  // Generate return statement with JSX
-  addLine('  return (');
-  const jsxCode = generateJSX(ast.jsx, ast.events, 4);
-  lines.push(jsxCode);
-  addLine('  );');
+  // Generate imports - only import what the components use
+  const imports = ['React', ...REACT_IMPORTS.filter(([, uses]) => components.some(uses)).map(([name]) => name)];
 
-  // Close component function
-  if (hasHandles) {
-    addLine('});');
-  } else {
-    addLine('}');
+  // Hooks render nothing, so they only need the named imports
+  const namedImports = imports.length > 1 ? `{ ${imports.slice(1).join(', ')} }` : null;
+  if (!hookName) {
+    addLine(`import ${namedImports ? `React, ${namedImports}` : 'React'} from 'react';`);
+  } else if (namedImports) {
+    addLine(`import ${namedImports} from 'react';`);
+  }
+  if (components.some(usesPropTypes)) addLine(`import PropTypes from 'prop-types';`);
+
+  // Generate the rest of the imports declared in the DSL file
+  const importedNames = new Set();
+  for (const declaration of declaredImports.slice(leadingImports.length)) {
+    const code = importToJS(declaration, { typescript, exclude: new Set(imports) });
+    if (code) addLine(`${mark(declaration.loc)}${code}`);
+    importedLocalNames(declaration).forEach(name => importedNames.add(name));
+  }
+
+  // Generate imports for context objects not already imported explicitly
+  const contextObjectNames = new Set(components.flatMap(component =>
+    (component.contexts || []).map(context => `${capitalize(context.name)}Context`)));
+  for (const contextObjectName of contextObjectNames) {
+    if (importedNames.has(contextObjectName)) continue;
+    addLine(`import { ${contextObjectName} } from './${contextObjectName}';`);
   }
+
   addLine('');
-  addLine(`export default ${componentName};`);
 
-  const code = lines.join('\n');
+  components.forEach((component, index) => {
+    if (index > 0 && lines[lines.length - 1] !== '') addLine('');
+    generateComponent(component);
+  });
+  // Blocks that are not the default export end with a blank separator line
+  while (lines[lines.length - 1] === '') lines.pop();
+
+  const code = resolveMarkers(lines.join('\n').replaceAll(TEMPLATE_NEWLINE, '\n'), (index, generated) => {
+    const { line, column } = markedLocations[index];
+    sourceMap.addMapping({
+      generated,
+      source: sourceFile,
+      // Source map columns are 0-based
+      original: { line, column: column - 1 }
+    });
+  });
   const map = sourceMap.toString();
 
   return { code, map };
 }
 
+// Names imported from React, in import order, with the components that need them
+const REACT_IMPORTS = [
+  ['forwardRef', component => component.handles?.length > 0],
+  ['useState', component => component.states.length > 0],
+  ['useReducer', component => component.reducers?.length > 0],
+  ['useTransition', component => component.transitions?.length > 0],
+  ['useContext', component => component.contexts?.length > 0],
+  ['useCallback', component => component.callbacks?.length > 0],
+  ['useRef', component => component.refs?.length > 0],
+  ['useImperativeHandle', component => component.handles?.length > 0],
+  ['useEffect', component => component.effects.length > 0],
+  ['useLayoutEffect', component => component.layoutEffects?.length > 0],
+  ['useMemo', component => component.memos.length > 0],
+  ['useDeferredValue', component => component.deferredValues?.length > 0],
+  ['useOptimistic', component => component.optimistics?.length > 0],
+  ['useId', component => component.ids?.length > 0],
+  ['useSyncExternalStore', component => component.syncs?.length > 0],
+  ['useActionState', component => component.actionStates?.length > 0],
+];
+
+// Private-use characters delimiting source position markers in emitted code
+const MARKER_START = '\uE000';
+const MARKER_END = '\uE001';
+const MARKER_PATTERN = /\uE000(\d+)\uE001/g;
+
+// Private-use character standing in for a line break inside a template literal
+const TEMPLATE_NEWLINE = '\uE002';
+
+// Remove position markers from code, reporting the generated line and 0-based
+// column each one stood at
+function resolveMarkers(code, onMarker) {
+  return code.split('\n').map((line, index) => {
+    let removed = 0;
+    return line.replace(MARKER_PATTERN, (marker, markerIndex, offset) => {
+      onMarker(Number(markerIndex), { line: index + 1, column: offset - removed });
+      removed += marker.length;
+      return '';
+    });
+  }).join('\n');
+}
+
+// Print an import declaration. Type-only imports are dropped from JavaScript
+// output, and names in `exclude` (already imported from React) are skipped.
+export function importToJS(declaration, { typescript = true, exclude = new Set() } = {}) {
+  const { source, defaultName, namespace, named, typeOnly } = declaration;
+  const sourceString = `'${source}'`;
+
+  if (isSideEffectImport(declaration)) {
+    return `import ${sourceString};`;
+  }
+
+  if (typeOnly && !typescript) return null;
+
+  const fromReact = source === 'react';
+  const specifiers = named.filter(specifier =>
+    (typescript || !specifier.typeOnly) && !(fromReact && exclude.has(specifier.local))
+  );
+  const defaultBinding = defaultName && !(fromReact && exclude.has(defaultName)) ? defaultName : null;
+
+  const clauses = [];
+  if (defaultBinding) clauses.push(defaultBinding);
+  if (namespace) clauses.push(`* as ${namespace}`);
+  if (specifiers.length > 0) {
+    const list = specifiers.map(({ imported, local, typeOnly: isType }) => {
+      const name = imported === local ? imported : `${imported} as ${local}`;
+      return isType && !typeOnly ? `type ${name}` : name;
+    });
+    clauses.push(`{ ${list.join(', ')} }`);
+  }
+
+  // Everything was a type or already imported
+  if (clauses.length === 0) return null;
+
+  return `import ${typeOnly ? 'type ' : ''}${clauses.join(', ')} from ${sourceString};`;
+}
+
+// Whether an import only runs a module, such as import "./styles.css"
+function isSideEffectImport({ defaultName, namespace, named }) {
+  return !defaultName && !namespace && named.length === 0;
+}
+
+// Render comment text as a JSDoc block, on one line when it fits on one
+function docCommentToJS(text) {
+  const lines = text.split('\n');
+  if (lines.length === 1) {
+    return `/** ${text} */`;
+  }
+  const body = lines.map(line => ` *${line ? ` ${line}` : ''}`).join('\n');
+  return `/**\n${body}\n */`;
+}
+
 function typeToTypeScript(type) {
   if (!type) return null;
 
@@ -294,204 +615,818 @@ function typeToTypeScript(type) {
     case 'GenericType':
       const params = type.typeParams.map(typeToTypeScript).join(', ');
       return `${type.name}<${params}>`;
+    case 'LiteralType':
+      return type.raw;
     default:
       return 'any';
   }
 }
 
+// Props that may be left out: marked with ?, defaulted, or untyped children
+function isOptionalProp(prop) {
+  return prop.optional || prop.defaultValue != null || (prop.name === 'children' && !prop.type);
+}
+
+// PropTypes validators for the types TypeScript would check
+const PROP_TYPES = {
+  string: 'PropTypes.string',
+  number: 'PropTypes.number',
+  boolean: 'PropTypes.bool',
+  bigint: 'PropTypes.number',
+  symbol: 'PropTypes.symbol',
+  object: 'PropTypes.object',
+  Function: 'PropTypes.func',
+  'React.ReactNode': 'PropTypes.node',
+  'React.ReactElement': 'PropTypes.element',
+};
+
+// PropTypes validator for a prop, with .isRequired unless it may be left out
+function propTypeOf(prop) {
+  const nullable = prop.type?.type === 'UnionType' &&
+    prop.type.types.some(type => type.type === 'SimpleType' && (type.name === 'null' || type.name === 'undefined'));
+  const validator = prop.type
+    ? typeToPropType(prop.type)
+    : prop.name === 'children' ? 'PropTypes.node' : 'PropTypes.any';
+  return isOptionalProp(prop) || nullable ? validator : `${validator}.isRequired`;
+}
+
+function typeToPropType(type) {
+  switch (type.type) {
+    case 'SimpleType':
+      return PROP_TYPES[typeToTypeScript(type)] || 'PropTypes.any';
+    case 'LiteralType':
+      return `PropTypes.oneOf([${type.raw}])`;
+    case 'ArrayType':
+      return `PropTypes.arrayOf(${typeToPropType({ type: 'SimpleType', name: type.elementType })})`;
+    case 'GenericType':
+      if (type.name === 'Array') return `PropTypes.arrayOf(${typeToPropType(type.typeParams[0])})`;
+      if (type.name === 'Record') return `PropTypes.objectOf(${typeToPropType(type.typeParams[1])})`;
+      return 'PropTypes.any';
+    case 'UnionType': {
+      // null and undefined make a prop optional rather than adding a validator
+      const types = type.types.filter(member =>
+        !(member.type === 'SimpleType' && (member.name === 'null' || member.name === 'undefined')));
+      if (types.length === 1) return typeToPropType(types[0]);
+      if (types.every(member => member.type === 'LiteralType')) {
+        return `PropTypes.oneOf([${types.map(member => member.raw).join(', ')}])`;
+      }
+      return `PropTypes.oneOfType([${types.map(typeToPropType).join(', ')}])`;
+    }
+    default:
+      return 'PropTypes.any';
+  }
+}
+
 function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
-function arrowFunctionBodyToJS(expr, paramReplacement = null) {
-  if (expr.type === 'ArrowFunction') {
-    const body = expr.body;
-    if (paramReplacement && expr.params.length > 0) {
-      const paramName = expr.params[0];
-      return expressionToJSWithReplacement(body, paramName, paramReplacement);
+// The payload parameter of a reducer action, if it takes one
+function reducerPayload({ handler, payloadType }) {
+  const param = handler.type === 'ArrowFunction' ? handler.params[1] : undefined;
+  if (param === undefined) return null;
+  return {
+    name: typeof param === 'string' ? param : 'payload',
+    type: typeToTypeScript(payloadType) || 'any'
+  };
+}
+
+// The TypeScript type of a literal initial value, if it has a simple one
+function literalType(value) {
+  if (value?.type !== 'Literal') return null;
+  const type = typeof value.value;
+  return ['number', 'string', 'boolean'].includes(type) ? type : null;
+}
+
+// One case of a reducer's switch. The action's parameters stand for the
+// reducer's state and the action's payload; destructured ones are unpacked
+// first. A handler that is not a function is the next state.
+function reducerCaseToJS({ name, handler }) {
+  if (handler.type !== 'ArrowFunction') return `case '${name}': return ${expressionToJS(handler)};`;
+
+  const values = [
+    { type: 'Identifier', name: 'state' },
+    { type: 'PropertyAccess', object: { type: 'Identifier', name: 'action' }, property: 'payload', optional: false }
+  ];
+  const replacements = new Map();
+  const unpacked = [];
+  handler.params.slice(0, 2).forEach((param, index) => {
+    if (typeof param === 'string') {
+      replacements.set(param, values[index]);
+    } else {
+      unpacked.push({ type: 'VariableDeclaration', kind: 'const', declarations: [{ id: param, init: values[index] }] });
     }
-    return expressionToJS(body);
-  }
-  return expressionToJS(expr);
+  });
+
+  const body = withReplacedNames(handler.body, replacements);
+  if (unpacked.length === 0 && body.type !== 'Block') return `case '${name}': return ${expressionToJS(body)};`;
+  const statements = body.type === 'Block' ? body.body : [{ type: 'Return', argument: body }];
+  return `case '${name}': ${blockToJS({ type: 'Block', body: [...unpacked, ...statements] })}`;
 }
 
-function expressionToJSWithReplacement(expr, from, to) {
-  if (!expr) return 'undefined';
-  if (expr.type === 'Identifier' && expr.name === from) {
-    return to;
+// Replace references to names with expressions, leaving shadowed ones alone.
+// Shorthand properties keep their key: { amount } becomes { amount: action.payload }.
+function withReplacedNames(node, replacements, shadowed = new Set()) {
+  if (Array.isArray(node)) return node.map(child => withReplacedNames(child, replacements, shadowed));
+  if (!node || typeof node !== 'object') return node;
+
+  switch (node.type) {
+    case 'Identifier':
+      return replacements.has(node.name) && !shadowed.has(node.name) ? replacements.get(node.name) : node;
+    case 'Property':
+      if (node.shorthand) {
+        const value = withReplacedNames(node.value, replacements, shadowed);
+        return value === node.value ? node : { ...node, value, shorthand: false };
+      }
+      break;
+    case 'ArrowFunction': {
+      const inner = new Set(shadowed);
+      node.params.forEach(param => boundNames(param).forEach(name => inner.add(name)));
+      return { ...node, body: withReplacedNames(node.body, replacements, inner) };
+    }
+    case 'Block': {
+      // Block-level declarations are visible throughout the block
+      const inner = new Set(shadowed);
+      for (const statement of node.body) {
+        if (statement.type === 'VariableDeclaration') {
+          statement.declarations.forEach(({ id }) => boundNames(id).forEach(name => inner.add(name)));
+        }
+      }
+      return { ...node, body: withReplacedNames(node.body, replacements, inner) };
+    }
   }
+
+  const copy = {};
+  for (const [key, value] of Object.entries(node)) {
+    copy[key] = withReplacedNames(value, replacements, shadowed);
+  }
+  return copy;
+}
+
+// Operator precedence used to decide where the printer needs parentheses.
+// Higher numbers bind tighter.
+const BINARY_PRECEDENCE = {
+  '??': 4, '||': 4, '&&': 5,
+  '|': 6, '^': 7, '&': 8,
+  '==': 9, '!=': 9, '===': 9, '!==': 9,
+  '<': 10, '>': 10, '<=': 10, '>=': 10, 'instanceof': 10, 'in': 10,
+  '<<': 11, '>>': 11, '>>>': 11,
+  '+': 12, '-': 12,
+  '*': 13, '/': 13, '%': 13,
+  '**': 14,
+};
+
+const NODE_PRECEDENCE = {
+  Assignment: 2,
+  ArrowFunction: 2,
+  Conditional: 3,
+  UnaryOp: 15,
+  Await: 15,
+  Update: 16,
+  New: 18,
+  Call: 18,
+  PropertyAccess: 18,
+  IndexAccess: 18,
+};
+
+function precedenceOf(expr) {
   if (expr.type === 'BinaryOp') {
-    const left = expressionToJSWithReplacement(expr.left, from, to);
-    const right = expressionToJSWithReplacement(expr.right, from, to);
-    return `${left} ${expr.operator} ${right}`;
+    return BINARY_PRECEDENCE[expr.operator] ?? 0;
   }
-  return expressionToJS(expr);
+  return NODE_PRECEDENCE[expr.type] ?? 20;
 }
 
-function expressionToJS(expr) {
+// Print an operand, parenthesizing it when it binds looser than its position allows
+export function operandToJS(expr, minPrecedence, jsx = {}) {
+  const code = expressionToJS(expr, jsx);
+  return precedenceOf(expr) < minPrecedence ? `(${code})` : code;
+}
+
+// `??` cannot be mixed with `||` or `&&` without explicit parentheses
+function mixesNullish(parent, child) {
+  if (child.type !== 'BinaryOp') return false;
+  const isNullish = op => op === '??';
+  const isLogical = op => op === '||' || op === '&&';
+  return (isNullish(parent) && isLogical(child.operator)) ||
+    (isLogical(parent) && isNullish(child.operator));
+}
+
+export function expressionToJS(expr, jsx = {}) {
   if (!expr) return 'undefined';
 
   switch (expr.type) {
     case 'Literal':
-      return String(expr.value);
+      return expr.raw ?? String(expr.value);
     case 'Identifier':
       return expr.name;
+    case 'TemplateLiteral':
+      // Line breaks in the literal are held back until the output is
+      // assembled, so re-indenting the code around it cannot change its value
+      return '`' + expr.quasis.map((quasi, i) => {
+        const text = quasi.replaceAll('\n', TEMPLATE_NEWLINE);
+        return i < expr.expressions.length ? `${text}\${${expressionToJS(expr.expressions[i], jsx)}}` : text;
+      }).join('') + '`';
     case 'Update':
-      if (expr.operator === '++') {
-        return `${expr.target} + 1`;
-      }
-      if (expr.operator === '--') {
-        return `${expr.target} - 1`;
-      }
-      if (expr.operator === '+=' && expr.value) {
-        return `${expr.target} + ${expressionToJS(expr.value)}`;
+      return expr.prefix
+        ? `${expr.operator}${operandToJS(expr.target, 16, jsx)}`
+        : `${operandToJS(expr.target, 17, jsx)}${expr.operator}`;
+    case 'Assignment':
+      return `${expressionToJS(expr.target, jsx)} ${expr.operator} ${operandToJS(expr.value, 2, jsx)}`;
+    case 'BinaryOp': {
+      const precedence = precedenceOf(expr);
+      // ** groups to the right, and its left side cannot be a unary expression
+      const exponent = expr.operator === '**';
+      const left = mixesNullish(expr.operator, expr.left)
+        ? `(${expressionToJS(expr.left, jsx)})`
+        : operandToJS(expr.left, exponent ? NODE_PRECEDENCE.Update : precedence, jsx);
+      const right = mixesNullish(expr.operator, expr.right)
+        ? `(${expressionToJS(expr.right, jsx)})`
+        : operandToJS(expr.right, exponent ? precedence : precedence + 1, jsx);
+      return `${left} ${expr.operator} ${right}`;
+    }
+    case 'Conditional':
+      return `${operandToJS(expr.test, 4, jsx)} ? ${operandToJS(expr.consequent, 2, jsx)} : ${operandToJS(expr.alternate, 2, jsx)}`;
+    case 'UnaryOp': {
+      const argument = operandToJS(expr.argument, 15, jsx);
+      if (/^[a-z]/.test(expr.operator)) {
+        return `${expr.operator} ${argument}`;
       }
-      return expr.target;
-    case 'BinaryOp':
-      return `${expressionToJS(expr.left)} ${expr.operator} ${expressionToJS(expr.right)}`;
-    case 'MethodCall':
-      const args = expr.args.map(expressionToJS).join(', ');
-      return `${expr.object}.${expr.method}(${args})`;
+      // Keep `- -x` from collapsing into a decrement
+      const separator = argument.startsWith(expr.operator) ? ' ' : '';
+      return `${expr.operator}${separator}${argument}`;
+    }
+    case 'Await':
+      return `await ${operandToJS(expr.argument, 15, jsx)}`;
+    case 'Call': {
+      const args = expr.args.map(arg => expressionToJS(arg, jsx)).join(', ');
+      return `${operandToJS(expr.callee, 18, jsx)}${expr.optional ? '?.' : ''}(${args})`;
+    }
+    case 'New': {
+      const args = expr.args.map(arg => expressionToJS(arg, jsx)).join(', ');
+      // `new (factory())()` needs the callee call parenthesized
+      const callee = expr.callee.type === 'Call' ? `(${expressionToJS(expr.callee, jsx)})` : operandToJS(expr.callee, 18, jsx);
+      return `new ${callee}(${args})`;
+    }
     case 'PropertyAccess':
-      return `${expr.object}.${expr.property}`;
-    case 'ArrowFunction':
-      const arrowParams = expr.params.join(', ');
-      const arrowBody = expressionToJS(expr.body);
-      return `(${arrowParams}) => ${arrowBody}`;
-    case 'Array':
-      const elements = expr.elements.map(expressionToJS).join(', ');
+      return `${operandToJS(expr.object, 18, jsx)}${expr.optional ? '?.' : '.'}${expr.property}`;
+    case 'IndexAccess':
+      return `${operandToJS(expr.object, 18, jsx)}${expr.optional ? '?.' : ''}[${expressionToJS(expr.index, jsx)}]`;
+    case 'ArrowFunction': {
+      // Parameter types are only there when TypeScript output keeps them
+      const arrowParams = expr.params.map((param, index) => {
+        const type = typeToTypeScript(expr.paramTypes?.[index]);
+        return type ? `${patternToJS(param)}: ${type}` : patternToJS(param);
+      }).join(', ');
+      let arrowBody;
+      if (expr.body.type === 'Block') {
+        arrowBody = blockToJS(expr.body, jsx);
+      } else if (expr.body.type === 'Object') {
+        arrowBody = `(${expressionToJS(expr.body, jsx)})`;
+      } else {
+        arrowBody = operandToJS(expr.body, 2, jsx);
+      }
+      return `${expr.async ? 'async ' : ''}(${arrowParams}) => ${arrowBody}`;
+    }
+    case 'Array': {
+      const elements = expr.elements.map(element => expressionToJS(element, jsx)).join(', ');
       return `[${elements}]`;
+    }
+    case 'Object': {
+      if (expr.properties.length === 0) return '{}';
+      const properties = expr.properties.map(property => {
+        if (property.type === 'Spread') return expressionToJS(property, jsx);
+        if (property.shorthand) return property.key;
+        const key = property.computed ? `[${expressionToJS(property.key, jsx)}]` : property.key;
+        return `${key}: ${operandToJS(property.value, 2, jsx)}`;
+      });
+      return `{ ${properties.join(', ')} }`;
+    }
+    case 'Spread':
+      return `...${operandToJS(expr.argument, 2, jsx)}`;
+    case 'JSXElement':
+      return generateJSXElement(expr, jsx, 0);
     default:
       return 'null';
   }
 }
 
-function generateEventHandler(handler, states) {
-  if (handler.type === 'Update') {
-    const stateName = handler.target;
-    const setter = `set${capitalize(stateName)}`;
+// Print a binding pattern. Plain identifiers are stored as strings.
+function patternToJS(pattern) {
+  if (typeof pattern === 'string') return pattern;
+
+  switch (pattern.type) {
+    case 'ObjectPattern':
+      return `{ ${pattern.properties.map(property => {
+        if (property.type === 'RestElement') return patternToJS(property);
+        if (property.shorthand) return patternToJS(property.value);
+        return `${property.key}: ${patternToJS(property.value)}`;
+      }).join(', ')} }`;
+    case 'ArrayPattern':
+      return `[${pattern.elements.map(patternToJS).join(', ')}]`;
+    case 'AssignmentPattern':
+      return `${patternToJS(pattern.left)} = ${operandToJS(pattern.right, 2)}`;
+    case 'RestElement':
+      return `...${patternToJS(pattern.argument)}`;
+    default:
+      return '_';
+  }
+}
 
-    if (handler.operator === '++') {
-      return `() => ${setter}(${stateName} + 1)`;
+// Print a block with its statements indented relative to the braces
+function blockToJS(block, jsx = {}) {
+  if (block.body.length === 0) return '{}';
+  const body = block.body
+    .map(statement => indentLines(statementToJS(statement, jsx), '  '))
+    .join('\n');
+  return `{\n${body}\n}`;
+}
+
+function statementToJS(statement, jsx = {}) {
+  switch (statement.type) {
+    case 'VariableDeclaration': {
+      const declarations = statement.declarations.map(({ id, init }) =>
+        init ? `${patternToJS(id)} = ${operandToJS(init, 2, jsx)}` : patternToJS(id)
+      );
+      return `${statement.kind} ${declarations.join(', ')};`;
     }
-    if (handler.operator === '--') {
-      return `() => ${setter}(${stateName} - 1)`;
+    case 'Return':
+      return statement.argument ? `return ${expressionToJS(statement.argument, jsx)};` : 'return;';
+    case 'If': {
+      const body = node => node.type === 'Block' ? blockToJS(node, jsx) : blockToJS({ type: 'Block', body: [node] }, jsx);
+      let code = `if (${expressionToJS(statement.test, jsx)}) ${body(statement.consequent)}`;
+      if (statement.alternate) {
+        code += statement.alternate.type === 'If'
+          ? ` else ${statementToJS(statement.alternate, jsx)}`
+          : ` else ${body(statement.alternate)}`;
+      }
+      return code;
     }
-    if (handler.operator === '+=' && handler.value) {
-      const value = expressionToJS(handler.value);
-      return `() => ${setter}(${stateName} + ${value})`;
+    case 'Block':
+      return blockToJS(statement, jsx);
+    case 'ExpressionStatement': {
+      const code = expressionToJS(statement.expression, jsx);
+      // A leading brace would be read as a block
+      return statement.expression.type === 'Object' ? `(${code});` : `${code};`;
     }
+    default:
+      return '';
   }
+}
 
-  if (handler.type === 'MethodCall') {
-    // For list operations like list.push(input)
-    const args = handler.args.map(expressionToJS).join(', ');
-    if (handler.method === 'push') {
-      const setter = `set${capitalize(handler.object)}`;
-      return `() => ${setter}([...${handler.object}, ${args}])`;
-    }
+function indentLines(code, indent) {
+  return code.split('\n').map(line => line ? indent + line : line).join('\n');
+}
+
+// `options` are those of the JSX the handler is in, for JSX inside the handler
+export function generateEventHandler(handler, states, options = {}) {
+  const { typescript = true } = options;
+  const byName = statesByName(states);
+
+  // Already a function, e.g. !select = id => setSelected(id) or !submit(e) = { ... }
+  if (handler.type === 'ArrowFunction') {
+    const fn = withStateSetters(typescript ? handler : { ...handler, paramTypes: undefined }, byName);
+    // A handler that awaits is async without having to say so
+    return expressionToJS(!fn.async && containsAwait(fn.body) ? { ...fn, async: true } : fn, options);
   }
 
   // Generic handler
-  const code = expressionToJS(handler);
+  const code = expressionToJS(withStateSetters(handler, byName, new Set(), true), options);
   return `() => ${code}`;
 }
 
-function extractDependencies(expr) {
-  const deps = [];
+// State declarations by name
+function statesByName(states) {
+  return new Map((states || []).map(state => [state.name, state]));
+}
 
-  function traverse(node) {
-    if (!node) return;
+// What a state holds, from its initial value or type: array, object, map, set or null
+function stateKind({ initialValue, type }) {
+  if (initialValue?.type === 'Array' || type?.type === 'ArrayType' ||
+      (type?.type === 'GenericType' && type.name === 'Array')) {
+    return 'array';
+  }
+  const constructor = initialValue?.type === 'New' && initialValue.callee.type === 'Identifier'
+    ? initialValue.callee.name
+    : type?.type === 'GenericType' ? type.name : null;
+  if (constructor === 'Map' || constructor === 'Set') return constructor.toLowerCase();
+  return initialValue?.type === 'Object' ? 'object' : null;
+}
 
-    if (node.type === 'Identifier') {
-      if (!deps.includes(node.name)) {
-        deps.push(node.name);
+// Array methods that mutate in place, plus filter, whose result is the new
+// list when it would otherwise be thrown away
+const ARRAY_UPDATES = new Set(['push', 'unshift', 'pop', 'shift', 'splice', 'sort', 'reverse', 'fill', 'filter']);
+const COLLECTION_UPDATES = { map: new Set(['set', 'delete', 'clear']), set: new Set(['add', 'delete', 'clear']) };
+
+// Rewrite writes to state in a handler as setter calls: `saving = true` becomes
+// setSaving(true). Writes that read the state (count++, `total = total + price`)
+// and mutations of arrays, objects, Maps and Sets held in state become
+// functional updates that build a new value, so React sees the change and
+// the update sees the latest value even after an await. Mutating calls and
+// `delete` are only rewritten where their result is unused. Parameters and
+// locals shadow state names.
+function withStateSetters(node, states, shadowed = new Set(), discarded = false) {
+  if (Array.isArray(node)) return node.map(child => withStateSetters(child, states, shadowed));
+  if (!node || typeof node !== 'object') return node;
+
+  const rewrite = child => withStateSetters(child, states, shadowed);
+  const path = target => statePath(target, states, shadowed);
+
+  switch (node.type) {
+    case 'Update': {
+      const target = path(node.target);
+      if (target) {
+        const operator = node.operator === '++' ? '+' : '-';
+        return stateMutation(target, node, current =>
+          ({ type: 'BinaryOp', operator, left: current, right: { type: 'Literal', value: 1, raw: '1' } }));
+      }
+      break;
+    }
+    case 'Assignment': {
+      const target = path(node.target);
+      if (target) {
+        const value = rewrite(node.value);
+        return stateMutation(target, node, current => node.operator === '='
+          ? value
+          : { type: 'BinaryOp', operator: node.operator.slice(0, -1), left: current, right: value });
+      }
+      break;
+    }
+    case 'UnaryOp': {
+      const target = discarded && node.operator === 'delete' ? path(node.argument) : null;
+      if (target?.segments.length > 0) {
+        const removed = target.segments[target.segments.length - 1];
+        return stateMutation({ ...target, segments: target.segments.slice(0, -1) }, node, (current, fresh) =>
+          withoutKey(current, removed, fresh), target.segments.length === 1 ? removed : null);
       }
-    } else if (node.type === 'BinaryOp') {
-      traverse(node.left);
-      traverse(node.right);
-    } else if (node.type === 'MethodCall') {
-      deps.push(node.object);
-      node.args.forEach(traverse);
+      break;
+    }
+    case 'Call': {
+      const target = discarded && node.callee.type === 'PropertyAccess' && !node.optional && path(node.callee.object);
+      const method = node.callee.property;
+      const kind = target && collectionKind(target, method, node.callee.object);
+      if (target && (kind === 'array' ? ARRAY_UPDATES.has(method) : COLLECTION_UPDATES[kind]?.has(method))) {
+        const args = rewrite(node.args);
+        return stateMutation(target, node, (current, fresh) => collectionUpdate(kind, method, current, args, fresh));
+      }
+      break;
+    }
+    case 'ExpressionStatement':
+      return { ...node, expression: withStateSetters(node.expression, states, shadowed, true) };
+    case 'ArrowFunction': {
+      const inner = new Set(shadowed);
+      node.params.forEach(param => boundNames(param).forEach(name => inner.add(name)));
+      // Handlers return nothing useful, so an expression body's value is unused
+      return { ...node, body: withStateSetters(node.body, states, inner, node.body.type !== 'Block') };
+    }
+    case 'Block': {
+      // Block-level declarations are visible throughout the block
+      const inner = new Set(shadowed);
+      for (const statement of node.body) {
+        if (statement.type === 'VariableDeclaration') {
+          statement.declarations.forEach(({ id }) => boundNames(id).forEach(name => inner.add(name)));
+        }
+      }
+      return { ...node, body: withStateSetters(node.body, states, inner) };
+    }
+  }
+
+  const copy = {};
+  for (const [key, value] of Object.entries(node)) {
+    copy[key] = rewrite(value);
+  }
+  return copy;
+}
+
+// The state a member expression writes to and the keys leading there, e.g.
+// todos[i].done -> { name: 'todos', segments: [index i, property done] }
+function statePath(target, states, shadowed) {
+  const segments = [];
+  let node = target;
+  while ((node?.type === 'PropertyAccess' || node?.type === 'IndexAccess') && !node.optional) {
+    if (node.type === 'PropertyAccess') {
+      segments.unshift({ type: 'property', key: node.property });
+    } else if (node.index.type === 'Literal' && typeof node.index.value === 'string') {
+      segments.unshift(/^[A-Za-z_$][\w$]*$/.test(node.index.value)
+        ? { type: 'property', key: node.index.value }
+        : { type: 'computed', key: node.index });
+    } else {
+      segments.unshift({ type: 'index', key: node.index });
     }
+    node = node.object;
   }
+  if (node?.type !== 'Identifier' || !states.has(node.name) || shadowed.has(node.name)) return null;
+
+  // Computed keys on a plain object are properties, not array positions
+  const state = states.get(node.name);
+  const kind = stateKind(state);
+  if (kind === 'object' && segments[0]?.type === 'index') {
+    segments[0] = { type: 'computed', key: segments[0].key };
+  }
+  return { name: node.name, kind, initialValue: state.initialValue, segments, loc: node.loc };
+}
+
+// What a mutating call on state works on: what the state holds, or what its
+// initial value holds at the path, or else what the method implies. Map and
+// Set share delete and clear, so calling those needs to know which it is.
+function collectionKind({ name, kind, initialValue, segments, loc }, method, object) {
+  const known = segments.length === 0 ? kind : stateKind({ initialValue: valueAt(initialValue, segments) });
+  if (known) return known;
+  if (method === 'add') return 'set';
+  if (method === 'set') return 'map';
+  if (method === 'delete' || method === 'clear') {
+    throw new JsxDslError(
+      `Cannot tell whether '${expressionToJS(object)}' is a Map or a Set to ${method} it immutably; give it a new Map() or new Set() in the initial value of '${name}'`,
+      { code: ERROR_CODES.UNKNOWN_COLLECTION, ...loc }
+    );
+  }
+  return 'array';
+}
+
+// The part of an initial value a path leads to, where the literal spells it out
+function valueAt(value, segments) {
+  for (const segment of segments) {
+    if (value?.type === 'Object' && segment.type === 'property') {
+      value = value.properties.find(property =>
+        property.type === 'Property' && !property.computed && property.key === segment.key)?.value;
+    } else if (value?.type === 'Array' && segment.type === 'index') {
+      // Items of a list share a shape; the first one shows it
+      value = value.elements.find(element => element.type !== 'Spread');
+    } else {
+      return null;
+    }
+  }
+  return value;
+}
+
+// setX(...) with a new value built by applying `leaf` at the end of the path.
+// `leaf` receives the current value there and a generator of unused names.
+// Deleting a top-level key destructures it away in the update's parameter.
+function stateMutation({ name, segments }, original, leaf, removedKey = null) {
+  const used = new Set([name]);
+  createWalker(reference => used.add(reference)).expression(original, new Set());
+  const fresh = base => {
+    let candidate = base;
+    for (let n = 2; used.has(candidate); n++) candidate = `${base}${n}`;
+    used.add(candidate);
+    return candidate;
+  };
+
+  if (removedKey?.type === 'property') {
+    const setter = { type: 'Identifier', name: `set${capitalize(name)}` };
+    const pattern = {
+      type: 'ObjectPattern',
+      properties: [
+        { key: removedKey.key, value: fresh('_'), shorthand: false },
+        { type: 'RestElement', argument: name }
+      ]
+    };
+    return { type: 'Call', callee: setter, args: [{ type: 'ArrowFunction', params: [pattern], body: { type: 'Identifier', name } }], optional: false };
+  }
+
+  return stateUpdate(name, updateAt({ type: 'Identifier', name }, segments, leaf, fresh));
+}
 
-  traverse(expr);
+// setX(value), or setX((x) => value) when the value reads x
+function stateUpdate(stateName, value) {
+  let readsItself = false;
+  createWalker((name, loc, scope) => {
+    if (name === stateName && !scope.has(name)) readsItself = true;
+  }).expression(value, new Set());
+
+  return {
+    type: 'Call',
+    callee: { type: 'Identifier', name: `set${capitalize(stateName)}` },
+    args: [readsItself ? { type: 'ArrowFunction', params: [stateName], body: value } : value],
+    optional: false
+  };
+}
+
+// Copy `current` along the path, replacing the value at its end with `leaf`
+function updateAt(current, segments, leaf, fresh) {
+  if (segments.length === 0) return leaf(current, fresh);
+  const [segment, ...rest] = segments;
+
+  if (segment.type === 'index') {
+    // list.map((item, index) => index === i ? updated : item)
+    const item = { type: 'Identifier', name: fresh('item') };
+    const index = { type: 'Identifier', name: fresh('index') };
+    const updated = updateAt(item, rest, leaf, fresh);
+    return call(current, 'map', [{
+      type: 'ArrowFunction',
+      params: [item.name, index.name],
+      body: { type: 'Conditional', test: { type: 'BinaryOp', operator: '===', left: index, right: segment.key }, consequent: updated, alternate: item }
+    }]);
+  }
+
+  const computed = segment.type === 'computed';
+  const child = computed
+    ? { type: 'IndexAccess', object: current, index: segment.key, optional: false }
+    : { type: 'PropertyAccess', object: current, property: segment.key, optional: false };
+  return {
+    type: 'Object',
+    properties: [
+      { type: 'Spread', argument: current },
+      { type: 'Property', key: segment.key, computed, value: updateAt(child, rest, leaf, fresh), shorthand: false }
+    ]
+  };
+}
+
+// `current` without the entry a delete removes
+function withoutKey(current, segment, fresh) {
+  if (segment.type === 'index') {
+    const index = fresh('index');
+    return call(current, 'filter', [{
+      type: 'ArrowFunction',
+      params: [fresh('_'), index],
+      body: { type: 'BinaryOp', operator: '!==', left: { type: 'Identifier', name: index }, right: segment.key }
+    }]);
+  }
+  if (segment.type === 'property') {
+    // (({ key: _, ...rest }) => rest)(current)
+    const rest = fresh('rest');
+    const pattern = {
+      type: 'ObjectPattern',
+      properties: [{ key: segment.key, value: fresh('_'), shorthand: false }, { type: 'RestElement', argument: rest }]
+    };
+    return { type: 'Call', callee: { type: 'ArrowFunction', params: [pattern], body: { type: 'Identifier', name: rest } }, args: [current], optional: false };
+  }
+  // Object.fromEntries(Object.entries(current).filter(([key]) => key !== removed))
+  const key = fresh('key');
+  const entries = call({ type: 'Identifier', name: 'Object' }, 'entries', [current]);
+  const kept = call(entries, 'filter', [{
+    type: 'ArrowFunction',
+    params: [{ type: 'ArrayPattern', elements: [key] }],
+    body: { type: 'BinaryOp', operator: '!==', left: { type: 'Identifier', name: key }, right: segment.key }
+  }]);
+  return call({ type: 'Identifier', name: 'Object' }, 'fromEntries', [kept]);
+}
+
+// The value an in-place array, Map or Set method would leave behind
+function collectionUpdate(kind, method, current, args, fresh) {
+  const copy = () => ({ type: 'Array', elements: [{ type: 'Spread', argument: current }] });
+  const literal = value => ({ type: 'Literal', value, raw: String(value) });
+
+  if (kind === 'map' || kind === 'set') {
+    const constructor = { type: 'Identifier', name: kind === 'map' ? 'Map' : 'Set' };
+    if (method === 'clear') return { type: 'New', callee: constructor, args: [] };
+    if (method === 'delete') {
+      // new Map([...map].filter(([key]) => key !== k))
+      const name = fresh(kind === 'map' ? 'key' : 'value');
+      const param = kind === 'map' ? { type: 'ArrayPattern', elements: [name] } : name;
+      const kept = call(copy(), 'filter', [{
+        type: 'ArrowFunction',
+        params: [param],
+        body: { type: 'BinaryOp', operator: '!==', left: { type: 'Identifier', name }, right: args[0] }
+      }]);
+      return { type: 'New', callee: constructor, args: [kept] };
+    }
+    // new Map(map).set(k, v) / new Set(set).add(v)
+    return call({ type: 'New', callee: constructor, args: [current] }, method, args);
+  }
+
+  switch (method) {
+    case 'push':
+      return { type: 'Array', elements: [{ type: 'Spread', argument: current }, ...args] };
+    case 'unshift':
+      return { type: 'Array', elements: [...args, { type: 'Spread', argument: current }] };
+    case 'pop':
+      return call(current, 'slice', [literal(0), { type: 'UnaryOp', operator: '-', argument: literal(1) }]);
+    case 'shift':
+      return call(current, 'slice', [literal(1)]);
+    case 'splice': {
+      const [start, deleteCount, ...items] = args;
+      if (!deleteCount) return call(current, 'slice', [literal(0), start]);
+      // [...list.slice(0, start), ...items, ...list.slice(start).slice(deleteCount)]
+      // Slicing from start first keeps a negative start counting from the end
+      const rest = call(call(current, 'slice', [start]), 'slice', [deleteCount]);
+      return {
+        type: 'Array',
+        elements: [
+          { type: 'Spread', argument: call(current, 'slice', [literal(0), start]) },
+          ...items,
+          { type: 'Spread', argument: rest }
+        ]
+      };
+    }
+    case 'filter':
+      return call(current, 'filter', args);
+    default:
+      // sort, reverse and fill work on a copy
+      return call(copy(), method, args);
+  }
+}
+
+function call(object, method, args) {
+  return { type: 'Call', callee: { type: 'PropertyAccess', object, property: method, optional: false }, args, optional: false };
+}
+
+// Whether a statement awaits outside of any nested function
+function containsAwait(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.type === 'Await') return true;
+  if (node.type === 'ArrowFunction') return false;
+  return Object.values(node).some(value =>
+    Array.isArray(value) ? value.some(containsAwait) : containsAwait(value));
+}
+
+// Collect free identifiers an expression reads, skipping property names and
+// names bound by arrow function parameters or local declarations. With
+// `reactive`, only those names are kept, so globals, imports, setters and refs
+// stay out of dependency arrays.
+export function extractDependencies(expr, reactive = null) {
+  const deps = [];
+  const walk = createWalker((name, loc, scope) => {
+    if (scope.has(name) || deps.includes(name)) return;
+    if (reactive && !reactive.has(name)) return;
+    deps.push(name);
+  });
+  walk.expression(expr, new Set());
   return deps;
 }
 
-function generateJSX(jsx, events, indent = 2) {
+function generateJSX(jsx, options, indent = 2) {
   const spaces = ' '.repeat(indent);
 
   if (!jsx) return `${spaces}<div />`;
 
   switch (jsx.type) {
     case 'JSXElement':
-      return generateJSXElement(jsx, events, indent);
+      return generateJSXElement(jsx, options, indent);
     case 'JSXFragment':
-      const children = jsx.children.map(child => generateJSX(child, events, indent + 2)).join('\n');
+      const children = jsx.children.map(child => generateJSX(child, options, indent + 2)).join('\n');
       return `${spaces}<>\n${children}\n${spaces}</>`;
     case 'JSXExpression':
-      return `{${expressionToJS(jsx.expression)}}`;
+      return `${spaces}${markNode(options, jsx)}{${expressionToJS(jsx.expression, options)}}`;
     case 'JSXText':
-      return jsx.value;
+      return `${spaces}${standaloneJSXText(jsx.value)}`;
+    case 'JSXComment':
+      return `${spaces}{/*${jsx.value}*/}`;
     case 'EachLoop':
-      return generateEachLoop(jsx, events, indent);
+      return generateEachLoop(jsx, options, indent);
+    case 'IfBlock':
+      return generateIfBlock(jsx, options, indent);
     default:
       return `${spaces}<div />`;
   }
 }
 
-function generateJSXElement(element, events, indent) {
+// Props type for `:...name`: those of the element it is spread onto, or any
+// props when it is spread onto several kinds of element or none
+function restPropsType(jsx, name) {
+  const targets = new Set();
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      if (node.type === 'JSXElement' && node.attributes.some(attr =>
+        attr.spread && attr.value.type === 'Identifier' && attr.value.name === name)) {
+        targets.add(node.tagName);
+      }
+      Object.values(node).forEach(visit);
+    }
+  };
+  visit(jsx);
+
+  if (targets.size !== 1) return 'Record<string, any>';
+  const [tagName] = targets;
+  return /^[A-Z]/.test(tagName)
+    ? `React.ComponentPropsWithoutRef<typeof ${tagName}>`
+    : `React.ComponentPropsWithoutRef<'${htmlTagNameOf(tagName)}'>`;
+}
+
+// Map common tag names to HTML equivalents
+const TAG_NAMES = {
+  'btn': 'button',
+  'input': 'input',
+  'p': 'p',
+  'div': 'div',
+  'span': 'span',
+  'ul': 'ul',
+  'li': 'li',
+  'h1': 'h1',
+  'h2': 'h2',
+  'h3': 'h3'
+};
+
+function htmlTagNameOf(tagName) {
+  return TAG_NAMES[tagName] || tagName;
+}
+
+function generateJSXElement(element, options, indent) {
   const spaces = ' '.repeat(indent);
   const { tagName, attributes, children } = element;
 
-  // Map common tag names to HTML equivalents
-  const htmlTagName = {
-    'btn': 'button',
-    'input': 'input',
-    'p': 'p',
-    'div': 'div',
-    'span': 'span',
-    'ul': 'ul',
-    'li': 'li',
-    'h1': 'h1',
-    'h2': 'h2',
-    'h3': 'h3'
-  }[tagName] || tagName;
-
-  // Generate attributes
-  const attrs = attributes.map(attr => {
-    if (attr.value.type === 'EventHandler') {
-      // Map event names to React event handlers
-      const eventMap = {
-        'click': 'onClick',
-        'change': 'onChange',
-        'submit': 'onSubmit'
-      };
-      const reactEvent = eventMap[attr.name] || `on${capitalize(attr.name)}`;
-      return `${reactEvent}={${attr.value.handler}}`;
-    } else if (attr.name === 'val') {
-      // Special handling for value attribute - need both value and onChange for two-way binding
-      const valueExpr = expressionToJS(attr.value);
-      // Assume the value is a state variable and add onChange handler
-      if (attr.value.type === 'Identifier') {
-        const setter = `set${capitalize(attr.value.name)}`;
-        return `value={${valueExpr}} onChange={(e) => ${setter}(e.target.value)}`;
-      }
-      return `value={${valueExpr}}`;
-    } else if (attr.name === 'on') {
-      // Special handling for inline event handlers
-      return `onChange={${expressionToJS(attr.value)}}`;
-    } else {
-      return `${attr.name}={${expressionToJS(attr.value)}}`;
-    }
-  });
+  const htmlTagName = htmlTagNameOf(tagName);
+
+  // Generate attributes; multi-line values such as block handlers follow the tag's indentation
+  const attrs = attributes.map(attr =>
+    markNode(options, attr) + attributeToJSX(attr, options).split('\n').join('\n' + spaces));
 
   const attrString = attrs.length > 0 ? ' ' + attrs.join(' ') : '';
+  const openTag = `${spaces}${markNode(options, element)}<${htmlTagName}${attrString}`;
 
   if (children.length === 0) {
-    return `${spaces}<${htmlTagName}${attrString} />`;
+    return `${openTag} />`;
   }
 
   // Handle simple children - handle text followed by expression
@@ -502,38 +1437,117 @@ function generateJSXElement(element, events, indent) {
   if (hasOnlyTextAndExpr) {
     const childContent = children.map(child =>
       child.type === 'JSXText'
-        ? child.value
-        : `{${expressionToJS(child.expression)}}`
-    ).join(' ');
-    return `${spaces}<${htmlTagName}${attrString}>${childContent}</${htmlTagName}>`;
-  }
-
-  // Handle complex children
-  const childrenCode = children.map(child => {
-    if (child.type === 'JSXText') {
-      return `${spaces}  ${child.value}`;
-    } else if (child.type === 'JSXExpression') {
-      return `${spaces}  {${expressionToJS(child.expression)}}`;
-    } else {
-      return generateJSX(child, events, indent + 2);
+        ? escapeJSXText(child.value)
+        : `${markNode(options, child)}{${expressionToJS(child.expression, options)}}`
+    ).join('');
+    return `${openTag}>${childContent}</${htmlTagName}>`;
+  }
+
+  // Handle complex children, one per line
+  const childrenCode = children.map(child => generateJSX(child, options, indent + 2)).join('\n');
+
+  return `${openTag}>\n${childrenCode}\n${spaces}</${htmlTagName}>`;
+}
+
+// Position marker for a node when the generator is building a source map
+function markNode(options, node) {
+  return options.mark ? options.mark(node.loc) : '';
+}
+
+// Print an attribute, mapping DSL conventions to React props
+function attributeToJSX(attr, options) {
+  if (attr.spread) {
+    return `{...${expressionToJS(attr.value, options)}}`;
+  } else if (attr.value.type === 'EventHandler') {
+    return `${eventPropName(attr.name)}={${attr.value.handler}}`;
+  } else if (attr.value.type === 'InlineHandler') {
+    // A member such as actions.save is already a function; anything else is
+    // compiled like a ! handler
+    const { handler } = attr.value;
+    const code = handler.type === 'PropertyAccess'
+      ? expressionToJS(handler, options)
+      : generateEventHandler(handler, options.states, options);
+    return `${eventPropName(attr.name)}={${code}}`;
+  } else if (attr.name === 'val') {
+    // Special handling for value attribute - need both value and onChange for two-way binding
+    const valueExpr = expressionToJS(attr.value, options);
+    // Assume the value is a state variable and add onChange handler
+    if (attr.value.type === 'Identifier') {
+      const setter = `set${capitalize(attr.value.name)}`;
+      return `value={${valueExpr}} onChange={(e) => ${setter}(e.target.value)}`;
     }
-  }).join('\n');
+    return `value={${valueExpr}}`;
+  } else if (attr.name === 'on') {
+    // Special handling for inline event handlers
+    return `onChange={${expressionToJS(attr.value, options)}}`;
+  } else {
+    return `${attr.name}={${expressionToJS(attr.value, options)}}`;
+  }
+}
 
-  return `${spaces}<${htmlTagName}${attrString}>\n${childrenCode}\n${spaces}</${htmlTagName}>`;
+// React prop for an event name: click -> onClick
+function eventPropName(name) {
+  return `on${capitalize(name)}`;
 }
 
-function generateEachLoop(loop, events, indent) {
+// Characters that cannot appear literally in JSX text
+function escapeJSXText(text) {
+  return text.replace(/[<>}]/g, char => `{'${char}'}`);
+}
+
+// Text on a line of its own loses its outer spaces in JSX, so keep them explicitly
+function standaloneJSXText(text) {
+  const [, leading, content, trailing] = text.match(/^( *)(.*?)( *)$/);
+  const space = (spaces) => (spaces ? `{'${spaces}'}` : '');
+  return `${space(leading)}${escapeJSXText(content)}${space(trailing)}`;
+}
+
+function generateEachLoop(loop, options, indent) {
   const spaces = ' '.repeat(indent);
-  const template = generateJSXElement(loop.template, events, 0).trim();
+  const [single] = loop.children;
+  const isSingleElement = loop.children.length === 1 && single.type === 'JSXElement';
+
+  // Unkeyed loops fall back to the index, as React does implicitly
+  const hasOwnKey = isSingleElement && single.attributes.some(attr => attr.name === 'key');
+  const indexName = loop.index ?? (loop.key || hasOwnKey ? null : 'index');
+  const keyAttribute = { name: 'key', value: loop.key ?? { type: 'Identifier', name: indexName } };
 
   // Add type annotation if available
-  const itemType = loop.itemType ? `: ${typeToTypeScript(loop.itemType)}` : '';
+  const itemType = options.typescript && loop.itemType ? `: ${typeToTypeScript(loop.itemType)}` : '';
+  const params = [`${patternToJS(loop.item)}${itemType}`];
+  if (indexName) params.push(indexName);
+
+  // A single element takes the key itself, anything else goes in a keyed fragment
+  let body;
+  if (isSingleElement) {
+    body = hasOwnKey && !loop.key
+      ? single
+      : { ...single, attributes: [keyAttribute, ...single.attributes.filter(attr => attr.name !== 'key')] };
+  } else {
+    body = { type: 'JSXElement', tagName: 'React.Fragment', attributes: [keyAttribute], children: loop.children };
+  }
 
-  // Replace item references in the template
-  const itemizedTemplate = template.replace(
-    new RegExp(`{${loop.item}}`, 'g'),
-    '{item}'
-  );
+  const list = operandToJS(loop.list, 18, options);
+  const bodyCode = generateJSX(body, options, indent + 2);
+  return `${spaces}${markNode(options, loop)}{${list}.map((${params.join(', ')}) => (\n${bodyCode}\n${spaces}))}`;
+}
+
+function generateIfBlock(block, options, indent) {
+  const spaces = ' '.repeat(indent);
 
-  return `${spaces}{${loop.list}.map((item${itemType}, index) => (\n${spaces}  ${itemizedTemplate}\n${spaces}))}`;
-}
\ No newline at end of file
+  // A single element renders as-is, anything else is wrapped in a fragment
+  const branchToJSX = (children) => {
+    const content = children.length === 1 && children[0].type === 'JSXElement'
+      ? children[0]
+      : { type: 'JSXFragment', children };
+    return `(\n${generateJSX(content, options, indent + 2)}\n${spaces})`;
+  };
+
+  // Branches chain into nested ternaries. Without an <else> the alternate is
+  // null rather than `cond && (...)`, which would render a falsy 0 or ""
+  const branches = block.branches.map(({ test, children }) =>
+    `${operandToJS(test, 4, options)} ? ${branchToJSX(children)}`
+  );
+  const alternate = block.alternate ? branchToJSX(block.alternate) : 'null';
+  return `${spaces}${markNode(options, block)}{${branches.join(' : ')} : ${alternate}}`;
+}
@@ -2,8 +2,14 @@ import { FC } from 'react';
 
 // Core compiler functions
 export function tokenize(input: string): Token[];
-export function parse(tokens: Token[]): AST;
-export function generate(ast: AST): string;
+export function parse(tokens: Token[], options?: { recover?: false }): AST;
+export function parse(tokens: Token[], options: { recover: true }): ParseResult;
+export function analyze(ast: AST, options?: { globals?: string[] }): AnalysisResult;
+// Emits plain JSX unless `typescript` is set
+export function generate(
+  ast: AST,
+  options?: Pick<GenerateOptions, 'typescript' | 'componentName' | 'hookName' | 'propTypes'> & { sourceFile?: string | null }
+): string;
 export function generateTypeScript(ast: AST, sourceFile: string, options?: GenerateOptions): { code: string; map: string };
 
 // Runtime compiler
@@ -15,6 +21,29 @@ export function jsxDsl(strings: TemplateStringsArray, ...values: any[]): FC<any>
 export const TOKEN_TYPES: Record<string, string>;
 export const VERSION: string;
 
+// Diagnostics
+export const ERROR_CODES: Record<string, string>;
+
+export class JsxDslError extends Error {
+  constructor(message: string, location?: Partial<SourceLocation> & { code?: string; severity?: 'error' | 'warning'; file?: string | null });
+  static atToken(message: string, token: Token, code?: string, severity?: 'error' | 'warning'): JsxDslError;
+  code: string;
+  severity: 'error' | 'warning';
+  file: string | null;
+  line: number | null;
+  column: number | null;
+  endLine: number | null;
+  endColumn: number | null;
+  readonly location: string;
+  format(source?: string): string;
+}
+
+export function formatCodeFrame(
+  source: string,
+  location: SourceLocation,
+  options?: { linesAbove?: number; linesBelow?: number }
+): string;
+
 // Default export
 export default compile;
 
@@ -24,37 +53,167 @@ interface Token {
   value?: any;
   line: number;
   column: number;
+  endLine: number;
+  endColumn: number;
+  // Comments between the previous token and this one
+  leadingComments?: Comment[];
+}
+
+interface Comment {
+  type: 'LineComment' | 'BlockComment';
+  // Text between the comment markers
+  value: string;
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+}
+
+// 1-based; the end position is exclusive
+interface SourceLocation {
+  line: number;
+  column: number;
+  endLine?: number;
+  endColumn?: number;
+}
+
+interface ParseResult {
+  ast: AST;
+  errors: JsxDslError[];
+  warnings: JsxDslError[];
+}
+
+interface AnalysisResult {
+  symbols: SymbolDef[];
+  // Undefined references, duplicate declarations and generated-name collisions
+  errors: JsxDslError[];
+  // Unused declarations
+  warnings: JsxDslError[];
+}
+
+interface SymbolDef {
+  name: string;
+  kind: string;
+  loc: SourceLocation;
+  docComment: string | null;
+  // Set on names the generator derives, such as setCount for @count
+  derivedFrom: SymbolDef | null;
+  // References in source order; type annotations count without a location
+  references: (SourceLocation | null)[];
+  // How a component block is exported; null for everything else
+  exported: 'named' | 'default' | null;
 }
 
 interface AST {
+  imports: ImportDef[];
   props: PropDef[];
   states: StateDef[];
+  // `@name:reducer` declarations
+  reducers: ReducerDef[];
   effects: EffectDef[];
   memos: MemoDef[];
+  // `+` calls to other hooks, such as useQuery or a custom useAuth
+  hookCalls: HookCallDef[];
   events: Record<string, any>;
+  // Location of each event handler's name
+  eventLocations: Record<string, SourceLocation>;
   jsx: JSXNode;
+  // `component Name { ... }` blocks; only set on the file's AST
+  components?: ComponentDef[];
+  // A top-level `return` makes the file a custom hook; only set on the file's AST
+  returns?: { value: any; loc: SourceLocation } | null;
+}
+
+interface ComponentDef extends AST {
+  name: string;
+  // `export component` is 'named', `export default component` is 'default'
+  exported: 'named' | 'default' | null;
+  loc: SourceLocation;
+}
+
+interface ImportDef {
+  source: string;
+  defaultName: string | null;
+  namespace: string | null;
+  named: { imported: string; local: string; typeOnly: boolean }[];
+  typeOnly: boolean;
+  loc: SourceLocation;
 }
 
 interface PropDef {
   name: string;
   type?: TypeDef;
+  // JSDoc text from a /** */ comment before the prop
+  docComment: string | null;
+  // Declared as :...name, collecting the remaining props
+  rest: boolean;
+  // Declared as :name?
+  optional: boolean;
+  // Value after `=`, used when the prop is not passed
+  defaultValue: any | null;
+  // Location of the prop name
+  loc: SourceLocation;
 }
 
 interface StateDef {
   name: string;
   type?: TypeDef;
   initialValue: any;
+  loc: SourceLocation;
+}
+
+interface ReducerDef {
+  name: string;
+  // State type from `@name:reducer::type`
+  type?: TypeDef;
+  initialValue: any;
+  actions: {
+    name: string;
+    // `(state, payload) => next`, or the next state itself
+    handler: any;
+    // Type of the payload from `(state, payload::type) => ...`
+    payloadType?: TypeDef;
+    loc: SourceLocation;
+  }[];
+  loc: SourceLocation;
 }
 
 interface EffectDef {
-  functionName: string;
+  // Function called by `$name(args)`; null for block effects
+  functionName: string | null;
+  args: any[];
+  // Statements of `$ { ... }`
+  body: { type: 'Block'; body: any[] } | null;
+  // `$ async { ... }`: runs with an AbortSignal named `signal`
+  async: boolean;
+  // Statements of `cleanup { ... }`
+  cleanup: { type: 'Block'; body: any[] } | null;
+  // Explicit `[deps ...]`; null when inferred
+  deps: any[] | null;
+  loc: SourceLocation;
+}
+
+interface HookCallDef {
+  // Binding name or destructuring pattern; null when the result is not kept
+  pattern: any | null;
+  // Each name the pattern binds, at its location in the pattern
+  bindings: { name: string; loc: SourceLocation }[];
+  type?: TypeDef;
+  callee: any;
+  // Generic arguments, emitted in TypeScript output only
+  typeArguments: TypeDef[];
   args: any[];
+  // The hook's name
+  loc: SourceLocation;
 }
 
 interface MemoDef {
   name: string;
   type?: TypeDef;
   value: any;
+  // Explicit `[deps ...]`; null when inferred
+  deps: any[] | null;
+  loc: SourceLocation;
 }
 
 interface TypeDef {
@@ -70,12 +229,25 @@ interface JSXNode {
   tagName?: string;
   attributes?: any[];
   children?: JSXNode[];
+  // JSXText: text as React renders it (entities kept as written) and as written
   value?: string;
+  raw?: string;
+  loc?: SourceLocation;
   expression?: any;
 }
 
 interface GenerateOptions {
+  // Emit TSX (default) or plain JSX without type annotations
+  typescript?: boolean;
+  // Name of the file's top-level component, usually derived from the filename
   componentName?: string;
+  // Compile the file to a hook with this name, e.g. useCounter for counter.hook.dsl.
+  // Files that return a value without rendering JSX are hooks named use<componentName>.
+  hookName?: string | null;
   generateSourceMap?: boolean;
   outputFile?: string;
+  // DSL source embedded in the map as sourcesContent
+  sourceContent?: string;
+  // Emit Component.propTypes in JavaScript output (imports prop-types)
+  propTypes?: boolean;
 }
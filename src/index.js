@@ -5,6 +5,7 @@ export { tokenize } from './tokenizer-ts.js';
 export { parse } from './parser-ts.js';
 export { generate } from './generator.js';
 export { generateTypeScript } from './generator-ts.js';
+export { analyze } from './analyzer.js';
 
 // Runtime compiler for development
 export { compile, useJsxDsl, jsxDsl } from './runtime.js';
@@ -12,6 +13,9 @@ export { compile, useJsxDsl, jsxDsl } from './runtime.js';
 // Re-export token types for external tooling
 export { TOKEN_TYPES } from './tokenizer-ts.js';
 
+// Compile diagnostics
+export { JsxDslError, ERROR_CODES, formatCodeFrame } from './errors.js';
+
 // Version info
 export const VERSION = '1.1.0';
 
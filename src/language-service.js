@@ -0,0 +1,243 @@
+// Editor features for JSX DSL documents, shared by the language server.
+// Positions follow LSP: 0-based lines and characters.
+import { SourceMapConsumer } from 'source-map';
+import { tokenize, TOKEN_TYPES } from './tokenizer-ts.js';
+import { parse } from './parser-ts.js';
+import { generateTypeScript } from './generator-ts.js';
+import { analyze } from './analyzer.js';
+import { JsxDslError } from './errors.js';
+
+// Declaration sigils offered at the start of a line
+const SIGILS = [
+  { label: '@', detail: 'State (useState)' },
+  { label: '%', detail: 'Memoized value (useMemo)' },
+  { label: '$', detail: 'Effect (useEffect)' },
+  { label: '$$', detail: 'Layout effect (useLayoutEffect)' },
+  { label: ':', detail: 'Prop' },
+  { label: '!', detail: 'Event handler' },
+  { label: '&', detail: 'Context (useContext)' },
+  { label: '^', detail: 'Callback (useCallback)' },
+  { label: '#', detail: 'Ref (useRef)' },
+  { label: '~', detail: 'Imperative handle (useImperativeHandle)' },
+  { label: '*', detail: 'ID (useId)' },
+  { label: '+', detail: 'Hook call (any other hook)' },
+];
+
+// LSP enum values
+const SEVERITY = { error: 1, warning: 2 };
+const COMPLETION_KIND = { function: 3, variable: 6, property: 10, module: 9, operator: 24 };
+const SYMBOL_KIND = { module: 2, property: 7, function: 12, variable: 13 };
+
+const FUNCTION_KINDS = new Set(['event', 'callback', 'handle', 'component']);
+
+// Path used for the in-memory generated code behind hovers
+const HOVER_SOURCE = 'document.dsl';
+
+/**
+ * Tokenize and parse a document, collecting every diagnostic instead of throwing
+ * @param {string} text - Document text
+ * @returns {{ tokens: Object[], ast: Object|null, symbols: Object[], diagnostics: JsxDslError[] }}
+ */
+export function analyzeDocument(text) {
+  let tokens;
+  try {
+    tokens = tokenize(text);
+  } catch (error) {
+    if (!(error instanceof JsxDslError)) throw error;
+    return { tokens: [], ast: null, symbols: [], diagnostics: [error] };
+  }
+
+  const { ast, errors, warnings } = parse(tokens, { recover: true });
+  const analysis = analyze(ast);
+
+  // Name checks on a partial AST would report false undefined names, but its
+  // symbols still drive hover and navigation
+  const diagnostics = errors.length > 0
+    ? [...errors, ...warnings]
+    : [...analysis.errors, ...warnings, ...analysis.warnings];
+  return { tokens, ast, symbols: analysis.symbols, diagnostics };
+}
+
+/**
+ * Named declarations in a component: props, hooks, event handlers and imports
+ * @param {ReturnType<typeof analyzeDocument>} analysis
+ * @returns {{ name: string, kind: string, loc: Object, docComment: string|null }[]}
+ */
+export function collectDeclarations({ symbols }) {
+  return symbols.filter(symbol => !symbol.derivedFrom);
+}
+
+/**
+ * LSP diagnostics for a document
+ * @param {ReturnType<typeof analyzeDocument>} analysis
+ */
+export function getDiagnostics({ diagnostics }) {
+  return diagnostics.map(diagnostic => ({
+    range: toRange(diagnostic),
+    severity: SEVERITY[diagnostic.severity],
+    code: diagnostic.code,
+    source: 'jsx-dsl',
+    message: diagnostic.message
+  }));
+}
+
+/**
+ * Hover for a declared name: its kind, doc comment and the hook it compiles to
+ * @param {ReturnType<typeof analyzeDocument>} analysis
+ * @param {{ line: number, character: number }} position
+ */
+export async function getHover(analysis, position) {
+  const found = declarationAt(analysis, position);
+  if (!found) return null;
+  const { token, declaration } = found;
+
+  const sections = [`(${declaration.kind}) ${declaration.name}`];
+  if (declaration.docComment) {
+    sections.push(declaration.docComment);
+  }
+  const generated = await generatedCodeFor(analysis.ast, declaration.loc);
+  if (generated) {
+    sections.push('```tsx\n' + generated + '\n```');
+  }
+
+  return {
+    contents: { kind: 'markdown', value: sections.join('\n\n') },
+    range: toRange(token)
+  };
+}
+
+/**
+ * Location of the declaration a name refers to
+ * @param {ReturnType<typeof analyzeDocument>} analysis
+ * @param {{ line: number, character: number }} position
+ * @param {string} uri - Document URI
+ */
+export function getDefinition(analysis, position, uri) {
+  const found = declarationAt(analysis, position);
+  return found ? { uri, range: toRange(found.declaration.loc) } : null;
+}
+
+/**
+ * Completion items: sigils at the start of a line, declared names elsewhere
+ * @param {ReturnType<typeof analyzeDocument>} analysis
+ * @param {{ line: number, character: number }} position
+ * @param {string} text - Document text
+ */
+export function getCompletions(analysis, position, text) {
+  const linePrefix = (text.split(/\r?\n/)[position.line] ?? '').slice(0, position.character);
+  if (!linePrefix.trim()) {
+    return SIGILS.map(({ label, detail }) => ({ label, detail, kind: COMPLETION_KIND.operator }));
+  }
+
+  // Names declared in other component blocks are out of scope here
+  const component = componentAt(analysis.ast, position);
+  const seen = new Set();
+  return collectDeclarations(analysis)
+    .filter(symbol => !symbol.component || symbol.component === component)
+    .filter(({ name }) => !seen.has(name) && seen.add(name))
+    .map(({ name, kind, docComment }) => ({
+      label: name,
+      kind: completionKindOf(kind),
+      detail: kind,
+      documentation: docComment || undefined
+    }));
+}
+
+/**
+ * Outline of the document's declarations
+ * @param {ReturnType<typeof analyzeDocument>} analysis
+ */
+export function getDocumentSymbols(analysis) {
+  return collectDeclarations(analysis).map(({ name, kind, loc }) => ({
+    name,
+    detail: kind,
+    kind: symbolKindOf(kind),
+    range: toRange(loc),
+    selectionRange: toRange(loc)
+  }));
+}
+
+// LSP range for a 1-based location with an exclusive end
+function toRange({ line, column, endLine = line, endColumn = column + 1 }) {
+  return {
+    start: { line: line - 1, character: column - 1 },
+    end: { line: endLine - 1, character: endColumn - 1 }
+  };
+}
+
+// The identifier under the cursor and the declaration it names, if any
+function declarationAt({ tokens, symbols }, { line, character }) {
+  const index = tokens.findIndex(token =>
+    token.type === TOKEN_TYPES.IDENTIFIER &&
+    token.line === line + 1 &&
+    token.column - 1 <= character && character <= token.endColumn - 1
+  );
+  const token = tokens[index];
+  // Property names after a dot are not references
+  if (!token || tokens[index - 1]?.type === TOKEN_TYPES.DOT) return null;
+
+  // The analyzer records where each declaration is used, so names bound
+  // locally and names declared in another component are told apart.
+  // Generated names such as setters resolve to the declaration they come from.
+  const at = loc => loc?.line === token.line && loc.column === token.column;
+  const declaration = symbols.find(symbol => !symbol.derivedFrom && at(symbol.loc)) ||
+    symbols.find(symbol => symbol.name === token.value && symbol.references.some(at));
+  return declaration ? { token, declaration } : null;
+}
+
+// The component a position is in: a component block, or the file's own
+function componentAt(ast, { line, character }) {
+  const position = { line: line + 1, column: character + 1 };
+  const before = (a, b) => a.line < b.line || (a.line === b.line && a.column <= b.column);
+  return (ast?.components || []).find(component =>
+    component.endLoc && before(component.loc, position) && before(position, component.endLoc)) || ast;
+}
+
+// The generated statement a declaration compiles to, found through the source map
+async function generatedCodeFor(ast, loc) {
+  let result;
+  try {
+    result = generateTypeScript(ast, HOVER_SOURCE, { typescript: true });
+  } catch {
+    return null;
+  }
+
+  // Props are mapped in both the interface and the destructured parameter; the first is the declaration
+  const [generated] = await SourceMapConsumer.with(result.map, null, consumer =>
+    consumer.allGeneratedPositionsFor({ source: HOVER_SOURCE, line: loc.line, column: loc.column - 1 })
+  );
+  if (!generated) return null;
+
+  return statementFrom(result.code.split('\n'), generated.line - 1);
+}
+
+// Lines from `start` until the brackets opened on them are closed again
+function statementFrom(lines, start) {
+  const statement = [];
+  let depth = 0;
+  for (let index = start; index < lines.length; index++) {
+    statement.push(lines[index]);
+    for (const char of lines[index]) {
+      if ('([{'.includes(char)) depth++;
+      else if (')]}'.includes(char)) depth--;
+    }
+    if (depth <= 0) break;
+  }
+
+  const indent = Math.min(...statement.filter(Boolean).map(line => line.match(/^\s*/)[0].length));
+  return statement.map(line => line.slice(indent)).join('\n');
+}
+
+function completionKindOf(kind) {
+  if (FUNCTION_KINDS.has(kind)) return COMPLETION_KIND.function;
+  if (kind === 'prop') return COMPLETION_KIND.property;
+  if (kind === 'import') return COMPLETION_KIND.module;
+  return COMPLETION_KIND.variable;
+}
+
+function symbolKindOf(kind) {
+  if (FUNCTION_KINDS.has(kind)) return SYMBOL_KIND.function;
+  if (kind === 'prop') return SYMBOL_KIND.property;
+  if (kind === 'import') return SYMBOL_KIND.module;
+  return SYMBOL_KIND.variable;
+}
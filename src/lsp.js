@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+// Language server for JSX DSL, speaking LSP over stdio
+import {
+  analyzeDocument,
+  getDiagnostics,
+  getHover,
+  getDefinition,
+  getCompletions,
+  getDocumentSymbols
+} from './language-service.js';
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Full document sync: every change carries the whole text
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasDocument = params => isObject(params?.textDocument) && typeof params.textDocument.uri === 'string';
+const hasPosition = params => hasDocument(params) && isObject(params.position) &&
+  Number.isInteger(params.position.line) && Number.isInteger(params.position.character);
+
+// Whether a message carries the params its handler reads, by method
+const PARAM_CHECKS = {
+  'textDocument/didOpen': params => hasDocument(params) && typeof params.textDocument.text === 'string',
+  'textDocument/didChange': params => hasDocument(params) && Array.isArray(params.contentChanges) &&
+    typeof params.contentChanges.at(-1)?.text === 'string',
+  'textDocument/didClose': hasDocument,
+  'textDocument/hover': hasPosition,
+  'textDocument/definition': hasPosition,
+  'textDocument/completion': hasPosition,
+  'textDocument/documentSymbol': hasDocument
+};
+
+/**
+ * Read Content-Length framed JSON-RPC messages from a stream. Frames without
+ * a valid Content-Length are dropped, since their end cannot be found.
+ * @param {import('stream').Readable} input
+ * @param {(message: Object) => void} onMessage
+ * @param {(error: Error) => void} onParseError - Called for a body that is not JSON
+ */
+export function readMessages(input, onMessage, onParseError = () => {}) {
+  let buffer = Buffer.alloc(0);
+
+  input.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const header = buffer.subarray(0, headerEnd).toString('ascii');
+      const length = Number(header.match(/Content-Length: *(\d+)/i)?.[1]);
+      const bodyStart = headerEnd + 4;
+      if (Number.isNaN(length)) {
+        buffer = buffer.subarray(bodyStart);
+        continue;
+      }
+      if (buffer.length < bodyStart + length) return;
+
+      const body = buffer.subarray(bodyStart, bodyStart + length).toString('utf8');
+      buffer = buffer.subarray(bodyStart + length);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        onParseError(error);
+        continue;
+      }
+      onMessage(message);
+    }
+  });
+}
+
+/**
+ * Write one JSON-RPC message with its Content-Length header
+ * @param {import('stream').Writable} output
+ * @param {Object} message
+ */
+export function writeMessage(output, message) {
+  const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+  output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+}
+
+/**
+ * Start a language server on a pair of streams
+ * @param {Object} options
+ * @param {import('stream').Readable} options.input - Defaults to stdin
+ * @param {import('stream').Writable} options.output - Defaults to stdout
+ * @param {(code: number) => void} options.onExit - Called on the exit notification
+ */
+export function startServer({ input = process.stdin, output = process.stdout, onExit = code => process.exit(code) } = {}) {
+  // Open documents by URI, analyzed once per change
+  const documents = new Map();
+  let shutdownRequested = false;
+
+  const send = message => writeMessage(output, message);
+
+  const openDocument = (uri, text) => {
+    const analysis = analyzeDocument(text);
+    documents.set(uri, { text, analysis });
+    send({
+      method: 'textDocument/publishDiagnostics',
+      params: { uri, diagnostics: getDiagnostics(analysis) }
+    });
+  };
+
+  // Request handlers return the result; notifications return nothing
+  const handlers = {
+    'initialize': () => ({
+      capabilities: {
+        textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+        hoverProvider: true,
+        definitionProvider: true,
+        completionProvider: { triggerCharacters: ['{', '='] },
+        documentSymbolProvider: true
+      },
+      serverInfo: { name: 'jsx-dsl-lsp' }
+    }),
+    'initialized': () => {},
+    'shutdown': () => {
+      shutdownRequested = true;
+      return null;
+    },
+    'exit': () => onExit(shutdownRequested ? 0 : 1),
+
+    'textDocument/didOpen': ({ textDocument }) => openDocument(textDocument.uri, textDocument.text),
+    'textDocument/didChange': ({ textDocument, contentChanges }) =>
+      openDocument(textDocument.uri, contentChanges[contentChanges.length - 1].text),
+    'textDocument/didClose': ({ textDocument }) => {
+      documents.delete(textDocument.uri);
+      send({ method: 'textDocument/publishDiagnostics', params: { uri: textDocument.uri, diagnostics: [] } });
+    },
+
+    'textDocument/hover': ({ textDocument, position }) => {
+      const document = documents.get(textDocument.uri);
+      return document ? getHover(document.analysis, position) : null;
+    },
+    'textDocument/definition': ({ textDocument, position }) => {
+      const document = documents.get(textDocument.uri);
+      return document ? getDefinition(document.analysis, position, textDocument.uri) : null;
+    },
+    'textDocument/completion': ({ textDocument, position }) => {
+      const document = documents.get(textDocument.uri);
+      return document ? getCompletions(document.analysis, position, document.text) : [];
+    },
+    'textDocument/documentSymbol': ({ textDocument }) => {
+      const document = documents.get(textDocument.uri);
+      return document ? getDocumentSymbols(document.analysis) : [];
+    }
+  };
+
+  readMessages(input, async (message) => {
+    // Valid JSON that is not a message, such as `null` or `[]`
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+      send({ id: null, error: { code: INVALID_REQUEST, message: 'Invalid request' } });
+      return;
+    }
+    const { id, method, params } = message;
+    const isRequest = id !== undefined;
+    const handler = handlers[method];
+
+    if (!handler) {
+      // Unknown notifications ($/cancelRequest etc.) are ignored
+      if (isRequest) {
+        send({ id, error: { code: METHOD_NOT_FOUND, message: `Unhandled method ${method}` } });
+      }
+      return;
+    }
+
+    // Reject unusable params up front; notifications are dropped, as they get no reply
+    if (PARAM_CHECKS[method] && !PARAM_CHECKS[method](params)) {
+      if (isRequest) {
+        send({ id, error: { code: INVALID_PARAMS, message: `Invalid params for ${method}` } });
+      }
+      return;
+    }
+
+    try {
+      const result = await handler(params);
+      if (isRequest) send({ id, result: result ?? null });
+    } catch (error) {
+      if (isRequest) send({ id, error: { code: INTERNAL_ERROR, message: error.message } });
+    }
+  }, error => {
+    // The request's id is unknown, so the response has none
+    send({ id: null, error: { code: PARSE_ERROR, message: `Parse error: ${error.message}` } });
+  });
+}
+
+// Only start the server when running as main module
+if (import.meta.url === `file://${process.argv[1]}` || /\/(lsp\.js|jsx-dsl-lsp)$/.test(process.argv[1] || '')) {
+  startServer();
+}
@@ -1,4 +1,5 @@
 import { TOKEN_TYPES } from './tokenizer-ts.js';
+import { JsxDslError, ERROR_CODES } from './errors.js';
 
 const MODIFIER_REDUCER = 'reducer';
 const MODIFIER_TRANSITION = 'transition';
@@ -7,10 +8,140 @@ const MODIFIER_OPTIMISTIC = 'optimistic';
 const MODIFIER_SYNC = 'sync';
 const MODIFIER_ACTION = 'action';
 
-export function parse(tokens) {
-  let position = 0;
-  const ast = {
+// Binary operators by token type. Higher precedence binds tighter; the
+// operator text comes from the token value when not listed here.
+const BINARY_OPERATORS = {
+  [TOKEN_TYPES.NULLISH]: { operator: '??', precedence: 1 },
+  [TOKEN_TYPES.OR]: { operator: '||', precedence: 1 },
+  [TOKEN_TYPES.AND]: { operator: '&&', precedence: 2 },
+  [TOKEN_TYPES.PIPE]: { operator: '|', precedence: 3 },     // | doubles as the union type separator
+  [TOKEN_TYPES.CALLBACK]: { operator: '^', precedence: 4 }, // ^ doubles as the callback sigil
+  [TOKEN_TYPES.CONTEXT]: { operator: '&', precedence: 5 },  // & doubles as the context sigil
+  [TOKEN_TYPES.EQUALITY]: { precedence: 6 },
+  [TOKEN_TYPES.LT]: { operator: '<', precedence: 7 },
+  [TOKEN_TYPES.GT]: { operator: '>', precedence: 7 },
+  [TOKEN_TYPES.LTE]: { operator: '<=', precedence: 7 },
+  [TOKEN_TYPES.GTE]: { operator: '>=', precedence: 7 },
+  [TOKEN_TYPES.PLUS]: { operator: '+', precedence: 9 },
+  [TOKEN_TYPES.MINUS]: { operator: '-', precedence: 9 },
+  [TOKEN_TYPES.MULTIPLY]: { operator: '*', precedence: 10 },
+  [TOKEN_TYPES.ID]: { operator: '*', precedence: 10 },    // `a *b` lexes as an id sigil
+  [TOKEN_TYPES.SLASH]: { operator: '/', precedence: 10 },
+  [TOKEN_TYPES.MEMO]: { operator: '%', precedence: 10 },  // % doubles as the memo sigil
+  [TOKEN_TYPES.EXPONENT]: { operator: '**', precedence: 11, rightAssociative: true },
+};
+
+// Keyword operators compare like < and >
+const KEYWORD_OPERATORS = ['in', 'instanceof'];
+
+// `>` also closes type arguments, as in Map<string, Array<number>>, so shifts
+// are lexed as runs of adjacent < or > tokens. Longest first.
+const SHIFT_OPERATORS = [
+  { operator: '>>>', types: [TOKEN_TYPES.GT, TOKEN_TYPES.GT, TOKEN_TYPES.GT] },
+  { operator: '>>', types: [TOKEN_TYPES.GT, TOKEN_TYPES.GT] },
+  { operator: '<<', types: [TOKEN_TYPES.LT, TOKEN_TYPES.LT] },
+];
+const SHIFT_PRECEDENCE = 8;
+
+const UNARY_OPERATORS = {
+  [TOKEN_TYPES.EVENT]: '!',  // ! doubles as the event sigil
+  [TOKEN_TYPES.MINUS]: '-',
+  [TOKEN_TYPES.PLUS]: '+',
+};
+
+const ASSIGNMENT_OPERATORS = {
+  [TOKEN_TYPES.ASSIGN]: '=',
+  [TOKEN_TYPES.PLUS_ASSIGN]: '+=',
+  [TOKEN_TYPES.MINUS_ASSIGN]: '-=',
+  [TOKEN_TYPES.MULTIPLY_ASSIGN]: '*=',
+  [TOKEN_TYPES.DIVIDE_ASSIGN]: '/=',
+};
+
+// Tokens that start a top-level declaration
+const DECLARATION_SIGILS = new Set([
+  TOKEN_TYPES.PROP,
+  TOKEN_TYPES.STATE,
+  TOKEN_TYPES.EFFECT,
+  TOKEN_TYPES.LAYOUT_EFFECT,
+  TOKEN_TYPES.MEMO,
+  TOKEN_TYPES.EVENT,
+  TOKEN_TYPES.CONTEXT,
+  TOKEN_TYPES.CALLBACK,
+  TOKEN_TYPES.REF,
+  TOKEN_TYPES.HANDLE,
+  TOKEN_TYPES.ID,
+  TOKEN_TYPES.PLUS,
+]);
+
+const LITERAL_KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined,
+};
+
+// Text of a JSDoc comment (/** ... */) directly before a token, without the
+// comment markers and leading asterisks
+function docCommentBefore(token) {
+  const comment = token?.leadingComments?.at(-1);
+  if (comment?.type !== 'BlockComment' || !comment.value.startsWith('*')) {
+    return null;
+  }
+  return comment.value
+    .slice(1)
+    .split('\n')
+    .map((line, index) => (index === 0 ? line : line.replace(/^\s*\* ?/, '')).trimEnd())
+    .join('\n')
+    .trim();
+}
+
+// Collapse JSX text the way React does: lines are trimmed except at the
+// outer edges, whitespace-only lines disappear and the remaining lines are
+// joined with single spaces. Entities are kept as written.
+function cleanJSXText(raw) {
+  const lines = raw.split(/\r\n|\n|\r/);
+  const lastNonEmptyLine = Math.max(0, lines.findLastIndex(line => /[^ \t]/.test(line)));
+
+  let text = '';
+  lines.forEach((line, index) => {
+    let trimmed = line.replace(/\t/g, ' ');
+    if (index > 0) trimmed = trimmed.replace(/^ +/, '');
+    if (index < lines.length - 1) trimmed = trimmed.replace(/ +$/, '');
+    if (trimmed) {
+      text += index === lastNonEmptyLine ? trimmed : `${trimmed} `;
+    }
+  });
+  return text;
+}
+
+// Names a binding pattern introduces; plain identifiers are stored as strings
+export function boundNames(pattern) {
+  if (typeof pattern === 'string') return [pattern];
+  switch (pattern.type) {
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property =>
+        boundNames(property.type === 'RestElement' ? property : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.filter(Boolean).flatMap(boundNames);
+    case 'AssignmentPattern':
+      return boundNames(pattern.left);
+    case 'RestElement':
+      return boundNames(pattern.argument);
+    default:
+      return [];
+  }
+}
+
+// Source span of a token
+function locationOf(token) {
+  return { line: token.line, column: token.column, endLine: token.endLine, endColumn: token.endColumn };
+}
+
+// An empty component AST
+function createComponent() {
+  return {
     type: 'Component',
+    imports: [],
     props: [],
     states: [],
     reducers: [],
@@ -27,9 +158,31 @@ export function parse(tokens) {
     effects: [],
     layoutEffects: [],
     memos: [],
+    hookCalls: [],
     events: {},
+    // Location of each event handler's name, keyed like `events`
+    eventLocations: {},
     jsx: null
   };
+}
+
+/**
+ * Parse tokens into a component AST.
+ * Declarations outside a `component Name { ... }` block belong to the file's
+ * own component; blocks are collected in `components`. Imports anywhere are
+ * module-wide and collected on the file. A file that returns a value instead
+ * of rendering JSX is a custom hook.
+ * Throws a JsxDslError on the first problem. With `recover` it keeps going and
+ * returns { ast, errors, warnings }, where ast holds whatever could be parsed.
+ */
+export function parse(tokens, { recover = false } = {}) {
+  let position = 0;
+  const errors = [];
+  const warnings = [];
+  // A top-level `return` makes the file a hook; `returns` holds its value
+  const file = { ...createComponent(), components: [], returns: null };
+  // The component declarations are added to: the file's own, or the block being parsed
+  let ast = file;
 
   const peek = (offset = 0) => tokens[position + offset];
   const advance = () => tokens[position++];
@@ -37,7 +190,7 @@ export function parse(tokens) {
 
   const consume = (type, message) => {
     if (peek()?.type !== type) {
-      throw new Error(message || `Expected ${type} but got ${peek()?.type}`);
+      throw JsxDslError.atToken(message || `Expected ${type} but got ${peek()?.type}`, peek());
     }
     return advance();
   };
@@ -48,6 +201,57 @@ export function parse(tokens) {
     }
   };
 
+  // Record an error in recover mode, throw it otherwise
+  const report = (error) => {
+    if (!recover) {
+      throw error;
+    }
+    errors.push(error);
+  };
+
+  // Tokens are never dropped without saying so
+  const warnIgnored = (token, context) => {
+    const text = token.value ?? token.type;
+    warnings.push(JsxDslError.atToken(`Ignored unexpected '${text}' ${context}`, token, ERROR_CODES.IGNORED_TOKEN, 'warning'));
+  };
+
+  // Run a parse function. In recover mode a failure is recorded and
+  // `synchronize` skips ahead to where parsing can resume.
+  const attempt = (parseFn, synchronize) => {
+    if (!recover) {
+      return parseFn();
+    }
+
+    const start = position;
+    const outerNesting = nesting;
+    try {
+      return parseFn();
+    } catch (error) {
+      if (!(error instanceof JsxDslError)) {
+        throw error;
+      }
+      errors.push(error);
+      nesting = outerNesting;
+      if (position === start && !isAtEnd()) {
+        advance();
+      }
+      synchronize();
+      return null;
+    }
+  };
+
+  // Skip past the `}` closing the braces we are in, counting nested braces
+  const skipPastClosingBrace = () => {
+    let depth = 0;
+    while (!isAtEnd()) {
+      const type = advance().type;
+      if (type === TOKEN_TYPES.LBRACE) depth++;
+      if (type === TOKEN_TYPES.RBRACE && depth-- === 0) {
+        return;
+      }
+    }
+  };
+
   // Parse type annotation: :: type
   const parseTypeAnnotation = () => {
     if (peek()?.type !== TOKEN_TYPES.COLON_TYPE) {
@@ -82,7 +286,13 @@ export function parse(tokens) {
     const token = peek();
 
     if (token?.type === TOKEN_TYPES.IDENTIFIER) {
-      const name = advance().value;
+      let name = advance().value;
+
+      // Qualified names such as React.ReactNode
+      while (peek()?.type === TOKEN_TYPES.DOT && peek(1)?.type === TOKEN_TYPES.IDENTIFIER) {
+        advance();
+        name += `.${advance().value}`;
+      }
 
       // Check for array type
       if (peek()?.type === TOKEN_TYPES.LBRACKET) {
@@ -107,31 +317,53 @@ export function parse(tokens) {
       return { type: 'SimpleType', name };
     }
 
-    throw new Error(`Expected type but got ${token?.type}`);
+    // Literal types such as "primary" or 16
+    if (token?.type === TOKEN_TYPES.STRING || token?.type === TOKEN_TYPES.NUMBER) {
+      advance();
+      return { type: 'LiteralType', value: token.value, raw: token.raw ?? JSON.stringify(token.value) };
+    }
+
+    throw JsxDslError.atToken(`Expected type but got ${token?.type}`, token);
   };
 
-  // Parse prop declaration: :name or :name::type
+  // Parse prop declaration: :name, :name::type, :name?::type = default or :...rest
   const parseProp = () => {
-    consume(TOKEN_TYPES.PROP);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected prop name').value;
+    const docComment = docCommentBefore(consume(TOKEN_TYPES.PROP));
+    // :...rest collects the props not declared by name
+    const rest = peek()?.type === TOKEN_TYPES.SPREAD;
+    if (rest) advance();
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected prop name');
+    const name = nameToken.value;
+    const optional = peek()?.type === TOKEN_TYPES.QUESTION;
+    if (optional) advance();
     const typeAnnotation = parseTypeAnnotation();
-    ast.props.push({ name, type: typeAnnotation });
+
+    let defaultValue = null;
+    if (peek()?.type === TOKEN_TYPES.ASSIGN) {
+      advance();
+      defaultValue = parseExpression();
+    }
+
+    ast.props.push({ name, type: typeAnnotation, optional, defaultValue, docComment, rest, loc: locationOf(nameToken) });
   };
 
   // Parse state declaration: @name = value or @name::type = value
-  // Or reducer declaration: @name:reducer = value
+  // Or reducer declaration: @name:reducer = value or @name:reducer::type = value
   // Or transition declaration: @name:transition
   const parseState = () => {
     consume(TOKEN_TYPES.STATE);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected state name').value;
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected state name');
+    const name = nameToken.value;
+    const loc = locationOf(nameToken);
 
     // Check for :reducer modifier
     if (peek()?.type === TOKEN_TYPES.PROP && peek(1)?.type === TOKEN_TYPES.IDENTIFIER && peek(1)?.value === MODIFIER_REDUCER) {
       advance(); // consume :
       advance(); // consume 'reducer'
+      const typeAnnotation = parseTypeAnnotation();
       consume(TOKEN_TYPES.ASSIGN);
       const reducerValue = parseReducerValue();
-      ast.reducers.push({ name, ...reducerValue });
+      ast.reducers.push({ name, type: typeAnnotation, ...reducerValue, loc });
       return;
     }
 
@@ -139,7 +371,7 @@ export function parse(tokens) {
     if (peek()?.type === TOKEN_TYPES.PROP && peek(1)?.type === TOKEN_TYPES.IDENTIFIER && peek(1)?.value === MODIFIER_TRANSITION) {
       advance(); // consume :
       advance(); // consume 'transition'
-      ast.transitions.push({ name });
+      ast.transitions.push({ name, loc });
       return;
     }
 
@@ -149,7 +381,7 @@ export function parse(tokens) {
       advance(); // consume 'deferred'
       consume(TOKEN_TYPES.ASSIGN);
       const sourceValue = parseExpression();
-      ast.deferredValues.push({ name, sourceValue });
+      ast.deferredValues.push({ name, sourceValue, loc });
       return;
     }
 
@@ -159,7 +391,7 @@ export function parse(tokens) {
       advance(); // consume 'optimistic'
       consume(TOKEN_TYPES.ASSIGN);
       const optimisticValue = parseOptimisticValue();
-      ast.optimistics.push({ name, ...optimisticValue });
+      ast.optimistics.push({ name, ...optimisticValue, loc });
       return;
     }
 
@@ -169,7 +401,7 @@ export function parse(tokens) {
       advance(); // consume 'sync'
       consume(TOKEN_TYPES.ASSIGN);
       const syncValue = parseSyncValue();
-      ast.syncs.push({ name, ...syncValue });
+      ast.syncs.push({ name, ...syncValue, loc });
       return;
     }
 
@@ -179,14 +411,14 @@ export function parse(tokens) {
       advance(); // consume 'action'
       consume(TOKEN_TYPES.ASSIGN);
       const actionValue = parseActionValue();
-      ast.actionStates.push({ name, ...actionValue });
+      ast.actionStates.push({ name, ...actionValue, loc });
       return;
     }
 
     const typeAnnotation = parseTypeAnnotation();
     consume(TOKEN_TYPES.ASSIGN);
     const value = parseExpression();
-    ast.states.push({ name, type: typeAnnotation, initialValue: value });
+    ast.states.push({ name, type: typeAnnotation, initialValue: value, loc });
   };
 
   // Parse optimistic value: {state, updateFn}
@@ -231,105 +463,192 @@ export function parse(tokens) {
       return { initialValue: parseExpression(), actions: [] };
     }
 
+    // The object may span several lines
     consume(TOKEN_TYPES.LBRACE);
+    nesting++;
+    skipNewlines();
     const initialValue = parseExpression();
+    skipNewlines();
     consume(TOKEN_TYPES.COMMA);
+    skipNewlines();
 
     // Parse actions object
     consume(TOKEN_TYPES.LBRACE);
-    const actions = [];
-    while (peek()?.type !== TOKEN_TYPES.RBRACE) {
-      const actionName = consume(TOKEN_TYPES.IDENTIFIER, 'Expected action name').value;
+    const actions = parseList(TOKEN_TYPES.RBRACE, () => {
+      const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected action name');
       consume(TOKEN_TYPES.PROP); // :
-      const handler = parseExpression();
-      actions.push({ name: actionName, handler });
-
-      if (peek()?.type === TOKEN_TYPES.COMMA) {
-        advance();
-      }
-    }
-    consume(TOKEN_TYPES.RBRACE); // close actions
+      const { handler, payloadType } = parseReducerAction();
+      return { name: nameToken.value, handler, payloadType, loc: locationOf(nameToken) };
+    });
+    skipNewlines();
+    nesting--;
     consume(TOKEN_TYPES.RBRACE); // close reducer object
 
     return { initialValue, actions };
   };
 
-  // Parse effect declaration: $functionName(args)
-  const parseEffect = () => {
-    consume(TOKEN_TYPES.EFFECT);
-    const functionName = consume(TOKEN_TYPES.IDENTIFIER, 'Expected function name').value;
-    consume(TOKEN_TYPES.LPAREN);
+  // Parse a reducer action: (state, payload::type) => next state, where the
+  // payload is optional and can be typed, or just the next state
+  const parseReducerAction = () => {
+    if (peek()?.type !== TOKEN_TYPES.LPAREN || !isArrowFunctionAhead()) {
+      return { handler: parseExpression(), payloadType: null };
+    }
 
-    const args = [];
-    while (peek()?.type !== TOKEN_TYPES.RPAREN) {
-      args.push(parseExpression());
-      if (peek()?.type === TOKEN_TYPES.COMMA) {
-        advance();
-      }
+    let payloadType = null;
+    const handler = parseArrowFunction(index => {
+      const param = parseParameter();
+      const typeAnnotation = parseTypeAnnotation();
+      if (index === 1) payloadType = typeAnnotation;
+      return param;
+    });
+    return { handler, payloadType };
+  };
+
+  // Parse the part of an effect after its sigil, in one of these forms:
+  //   name(args)            call a function
+  //   { ... }               run a block
+  //   async { ... }         run an async block that can read `signal`
+  // optionally followed by `cleanup { ... }` and a dependency list.
+  const parseEffectParts = (sigil) => {
+    let functionName = null;
+    let args = [];
+    let body = null;
+    let isAsync = false;
+    let loc = locationOf(sigil);
+
+    if (isKeyword(peek(), 'async') && peek(1)?.type === TOKEN_TYPES.LBRACE) {
+      advance();
+      isAsync = true;
+      body = parseBlock();
+    } else if (peek()?.type === TOKEN_TYPES.LBRACE) {
+      body = parseBlock();
+    } else {
+      const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected function name or { after effect');
+      functionName = nameToken.value;
+      loc = locationOf(nameToken);
+      consume(TOKEN_TYPES.LPAREN);
+      args = parseList(TOKEN_TYPES.RPAREN, parseExpression);
     }
-    consume(TOKEN_TYPES.RPAREN);
 
-    ast.effects.push({ functionName, args });
+    let cleanup = null;
+    if (isKeyword(peek(), 'cleanup')) {
+      advance();
+      cleanup = parseBlock();
+    }
+
+    return { functionName, args, body, async: isAsync, cleanup, deps: parseEffectDeps(), loc };
   };
 
-  // Parse layout effect declaration: $$functionName(args)
+  // Effect dependencies: [a, b], [] for mount only, or the [deps a, b] form
+  const parseEffectDeps = () => {
+    if (peek()?.type !== TOKEN_TYPES.LBRACKET) return null;
+    advance();
+    const next = peek(1)?.type;
+    if (isKeyword(peek(), 'deps') && (next === TOKEN_TYPES.IDENTIFIER || next === TOKEN_TYPES.RBRACKET)) {
+      advance();
+    }
+    return parseList(TOKEN_TYPES.RBRACKET, parseExpression);
+  };
+
+  // Parse effect declaration: $functionName(args) or $ { ... }
+  const parseEffect = () => {
+    ast.effects.push(parseEffectParts(consume(TOKEN_TYPES.EFFECT)));
+  };
+
+  // Parse layout effect declaration: $$functionName(args) or $$ { ... }
   const parseLayoutEffect = () => {
-    consume(TOKEN_TYPES.LAYOUT_EFFECT);
-    const functionName = consume(TOKEN_TYPES.IDENTIFIER, 'Expected function name').value;
-    consume(TOKEN_TYPES.LPAREN);
+    ast.layoutEffects.push(parseEffectParts(consume(TOKEN_TYPES.LAYOUT_EFFECT)));
+  };
 
-    const args = [];
-    while (peek()?.type !== TOKEN_TYPES.RPAREN) {
-      args.push(parseExpression());
-      if (peek()?.type === TOKEN_TYPES.COMMA) {
-        advance();
-      }
-    }
-    consume(TOKEN_TYPES.RPAREN);
+  // `[deps a, b]` after a declaration replaces its inferred dependencies. The
+  // space before the bracket tells it apart from indexing: `items [deps]` vs `items[deps]`
+  const isDepsOverride = () => {
+    const bracket = peek();
+    const previous = tokens[position - 1];
+    if (bracket?.type !== TOKEN_TYPES.LBRACKET || !previous) return false;
+    if (previous.line === bracket.line && previous.endColumn >= bracket.column) return false;
+    const keyword = peek(1);
+    const next = peek(2)?.type;
+    return keyword?.type === TOKEN_TYPES.IDENTIFIER && keyword.value === 'deps' &&
+      (next === TOKEN_TYPES.IDENTIFIER || next === TOKEN_TYPES.RBRACKET);
+  };
 
-    ast.layoutEffects.push({ functionName, args });
+  // Parse an optional dependency override: [deps a, b] or [deps] for none
+  const parseDepsOverride = () => {
+    if (!isDepsOverride()) return null;
+    advance();
+    advance();
+    return parseList(TOKEN_TYPES.RBRACKET, parseExpression);
   };
 
   // Parse memo declaration: %name = expression or %name::type = expression
   const parseMemo = () => {
     consume(TOKEN_TYPES.MEMO);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected memo name').value;
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected memo name');
+    const name = nameToken.value;
     const typeAnnotation = parseTypeAnnotation();
     consume(TOKEN_TYPES.ASSIGN);
     const value = parseExpression();
-    ast.memos.push({ name, type: typeAnnotation, value });
+    const deps = parseDepsOverride();
+    ast.memos.push({ name, type: typeAnnotation, value, deps, loc: locationOf(nameToken) });
   };
 
-  // Parse event handler: !name = expression
+  // Parse event handler: !name = expression, !name = { ... } or !name(e) = ...
   const parseEvent = () => {
     consume(TOKEN_TYPES.EVENT);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected event name').value;
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected event name');
+    const name = nameToken.value;
+
+    // !name(e::React.FormEvent) = ... declares the handler's parameters,
+    // optionally typed
+    let params = null;
+    const paramTypes = [];
+    if (peek()?.type === TOKEN_TYPES.LPAREN) {
+      advance();
+      params = parseList(TOKEN_TYPES.RPAREN, () => {
+        const param = parseParameter();
+        paramTypes.push(parseTypeAnnotation());
+        return param;
+      });
+    }
     consume(TOKEN_TYPES.ASSIGN);
-    const handler = parseExpression();
+
+    // A braced body is a block of statements, not an object literal
+    const body = peek()?.type === TOKEN_TYPES.LBRACE ? parseBlock() : parseExpression();
+    let handler = body;
+    if (params || body.type === 'Block') {
+      handler = { type: 'ArrowFunction', params: params || [], body };
+      if (paramTypes.some(Boolean)) handler.paramTypes = paramTypes;
+    }
     ast.events[name] = handler;
+    ast.eventLocations[name] = locationOf(nameToken);
   };
 
   // Parse context consumption: &contextName or &contextName::Type
   const parseContext = () => {
     consume(TOKEN_TYPES.CONTEXT);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected context name').value;
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected context name');
+    const name = nameToken.value;
     const typeAnnotation = parseTypeAnnotation();
-    ast.contexts.push({ name, type: typeAnnotation });
+    ast.contexts.push({ name, type: typeAnnotation, loc: locationOf(nameToken) });
   };
 
   // Parse callback declaration: ^name = arrowFunction
   const parseCallback = () => {
     consume(TOKEN_TYPES.CALLBACK);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected callback name').value;
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected callback name');
+    const name = nameToken.value;
     consume(TOKEN_TYPES.ASSIGN);
     const value = parseExpression();
-    ast.callbacks.push({ name, value });
+    const deps = parseDepsOverride();
+    ast.callbacks.push({ name, value, deps, loc: locationOf(nameToken) });
   };
 
   // Parse ref declaration: #name or #name::Type or #name = value
   const parseRef = () => {
     consume(TOKEN_TYPES.REF);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected ref name').value;
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected ref name');
+    const name = nameToken.value;
     const typeAnnotation = parseTypeAnnotation();
 
     let initialValue = null;
@@ -338,149 +657,701 @@ export function parse(tokens) {
       initialValue = parseExpression();
     }
 
-    ast.refs.push({ name, type: typeAnnotation, initialValue });
+    ast.refs.push({ name, type: typeAnnotation, initialValue, loc: locationOf(nameToken) });
   };
 
   // Parse handle declaration: ~name = arrowFunction
   const parseHandle = () => {
     consume(TOKEN_TYPES.HANDLE);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected handle name').value;
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected handle name');
+    const name = nameToken.value;
     consume(TOKEN_TYPES.ASSIGN);
     const value = parseExpression();
-    ast.handles.push({ name, value });
+    ast.handles.push({ name, value, loc: locationOf(nameToken) });
   };
 
   // Parse id declaration: *name
   const parseId = () => {
     consume(TOKEN_TYPES.ID);
-    const name = consume(TOKEN_TYPES.IDENTIFIER, 'Expected id name').value;
-    ast.ids.push({ name });
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected id name');
+    const name = nameToken.value;
+    ast.ids.push({ name, loc: locationOf(nameToken) });
   };
 
-  // Parse expressions (simplified for now)
-  const parseExpression = () => {
-    const token = peek();
+  // Parse a call to any other hook, binding its result:
+  //   +navigate = useNavigate()
+  //   +{data, isLoading} = useQuery<User>(["user", id], fetchUser)
+  //   +usePageView(path)
+  const parseHookCall = () => {
+    consume(TOKEN_TYPES.PLUS);
+
+    let pattern = null;
+    let bindings = [];
+    let typeAnnotation = null;
+    const isCallee = peek()?.type === TOKEN_TYPES.IDENTIFIER &&
+      [TOKEN_TYPES.DOT, TOKEN_TYPES.LT, TOKEN_TYPES.LPAREN].includes(peek(1)?.type);
+    if (!isCallee) {
+      const start = position;
+      pattern = parseBindingPattern();
+      bindings = bindingsOf(pattern, tokens.slice(start, position));
+      typeAnnotation = parseTypeAnnotation();
+      consume(TOKEN_TYPES.ASSIGN, 'Expected = after hook result');
+    }
 
-    if (token?.type === TOKEN_TYPES.NUMBER) {
+    // The callee is a name or a member of a namespace, such as Router.useNavigate
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected hook name');
+    let callee = { type: 'Identifier', name: nameToken.value, loc: locationOf(nameToken) };
+    let hookToken = nameToken;
+    while (peek()?.type === TOKEN_TYPES.DOT) {
       advance();
-      return { type: 'Literal', value: token.value };
+      hookToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected hook name after .');
+      callee = { type: 'PropertyAccess', object: callee, property: hookToken.value, optional: false };
+    }
+    if (!/^use(?![a-z])/.test(hookToken.value)) {
+      throw JsxDslError.atToken(`'${hookToken.value}' is not a hook; hook names start with 'use'`, hookToken, ERROR_CODES.INVALID_HOOK);
     }
 
-    if (token?.type === TOKEN_TYPES.STRING) {
+    // Type arguments are passed through to TypeScript output
+    const typeArguments = [];
+    if (peek()?.type === TOKEN_TYPES.LT) {
       advance();
-      return { type: 'Literal', value: `"${token.value}"` };
+      do {
+        if (typeArguments.length > 0) advance();
+        typeArguments.push(parseType());
+      } while (peek()?.type === TOKEN_TYPES.COMMA);
+      consume(TOKEN_TYPES.GT, 'Expected > after type arguments');
     }
 
-    if (token?.type === TOKEN_TYPES.IDENTIFIER) {
-      const name = advance().value;
+    consume(TOKEN_TYPES.LPAREN, `Expected ( to call ${hookToken.value}`);
+    const args = parseList(TOKEN_TYPES.RPAREN, parseArgument);
 
-      // Check for arrow function: param => body
-      if (peek()?.type === TOKEN_TYPES.ARROW) {
-        advance(); // consume =>
-        const body = parseExpression();
-        return { type: 'ArrowFunction', params: [name], body };
-      }
+    ast.hookCalls.push({ pattern, bindings, type: typeAnnotation, callee, typeArguments, args, loc: locationOf(hookToken) });
+  };
 
-      // Check for increment/decrement
-      if (peek()?.type === TOKEN_TYPES.INCREMENT) {
-        advance();
-        return { type: 'Update', target: name, operator: '++' };
-      }
+  // Names a binding pattern declares, located at their token in `patternTokens`.
+  // A name followed by `:` is a property key being renamed, not a binding.
+  const bindingsOf = (pattern, patternTokens) => boundNames(pattern).map(name => {
+    const token = patternTokens.find((token, index) => token.type === TOKEN_TYPES.IDENTIFIER &&
+      token.value === name && patternTokens[index + 1]?.type !== TOKEN_TYPES.PROP);
+    return { name, loc: locationOf(token) };
+  });
+
+  // Parse import declaration:
+  //   import Card from "./Card"
+  //   import { fetchUser, type User as U } from "./api"
+  //   import type { User } from "./types"
+  //   import * as utils from "./utils"
+  //   import "./styles.css"
+  const parseImport = () => {
+    const importToken = consume(TOKEN_TYPES.IDENTIFIER); // import
+
+    const declaration = { source: null, defaultName: null, namespace: null, named: [], typeOnly: false, loc: locationOf(importToken) };
+
+    // Side-effect import
+    if (peek()?.type === TOKEN_TYPES.STRING) {
+      declaration.source = advance().value;
+      file.imports.push(declaration);
+      return;
+    }
 
-      if (peek()?.type === TOKEN_TYPES.DECREMENT) {
+    if (isKeyword(peek(), 'type') && !isKeyword(peek(1), 'from')) {
+      advance();
+      declaration.typeOnly = true;
+    }
+
+    if (peek()?.type === TOKEN_TYPES.IDENTIFIER && !isKeyword(peek(), 'from')) {
+      declaration.defaultName = advance().value;
+      if (peek()?.type === TOKEN_TYPES.COMMA) {
         advance();
-        return { type: 'Update', target: name, operator: '--' };
       }
+    }
 
-      // Check for compound assignment
-      if (peek()?.type === TOKEN_TYPES.PLUS_ASSIGN) {
-        advance();
-        const value = parseExpression();
-        return { type: 'Update', target: name, operator: '+=', value };
+    if (peek()?.type === TOKEN_TYPES.MULTIPLY) {
+      advance();
+      if (!isKeyword(peek(), 'as')) {
+        throw JsxDslError.atToken('Expected "as" after * in import', peek(), ERROR_CODES.INVALID_IMPORT);
       }
+      advance();
+      declaration.namespace = consume(TOKEN_TYPES.IDENTIFIER, 'Expected namespace name').value;
+    } else if (peek()?.type === TOKEN_TYPES.LBRACE) {
+      advance();
+      declaration.named = parseList(TOKEN_TYPES.RBRACE, () => {
+        let typeOnly = false;
+        if (isKeyword(peek(), 'type') && peek(1)?.type === TOKEN_TYPES.IDENTIFIER && !isKeyword(peek(1), 'as')) {
+          advance();
+          typeOnly = true;
+        }
+        const imported = consume(TOKEN_TYPES.IDENTIFIER, 'Expected imported name').value;
+        let local = imported;
+        if (isKeyword(peek(), 'as')) {
+          advance();
+          local = consume(TOKEN_TYPES.IDENTIFIER, 'Expected local name after "as"').value;
+        }
+        return { imported, local, typeOnly };
+      });
+    }
 
-      // Check for binary operations
-      if (peek()?.type === TOKEN_TYPES.PLUS) {
-        advance();
-        const right = parseExpression();
-        return { type: 'BinaryOp', operator: '+', left: { type: 'Identifier', name }, right };
+    if (!isKeyword(peek(), 'from')) {
+      throw JsxDslError.atToken('Expected "from" in import', peek(), ERROR_CODES.INVALID_IMPORT);
+    }
+    advance();
+    declaration.source = consume(TOKEN_TYPES.STRING, 'Expected module path string').value;
+    file.imports.push(declaration);
+  };
+
+  // Parse expressions with precedence climbing. Inside parentheses, brackets
+  // and braces an expression may span several lines; at the top level a
+  // newline ends the declaration.
+  let nesting = 0;
+
+  const skipNewlinesInGroup = () => {
+    if (nesting > 0) skipNewlines();
+  };
+
+  const isKeyword = (token, keyword) => token?.type === TOKEN_TYPES.IDENTIFIER && token.value === keyword;
+
+  // Parse a comma separated list up to the closing token, allowing newlines
+  // and a trailing comma
+  const parseList = (closeType, parseItem) => {
+    const items = [];
+    nesting++;
+    skipNewlines();
+    while (peek()?.type !== closeType) {
+      items.push(parseItem());
+      skipNewlines();
+      if (peek()?.type !== TOKEN_TYPES.COMMA) break;
+      advance();
+      skipNewlines();
+    }
+    nesting--;
+    consume(closeType);
+    return items;
+  };
+
+  const parseExpression = () => parseAssignment();
+
+  const parseAssignment = () => {
+    if (isArrowFunctionAhead()) {
+      return parseArrowFunction();
+    }
+
+    const start = peek();
+    const left = parseConditional();
+    left.loc ??= locationOf(start);
+    const operator = ASSIGNMENT_OPERATORS[peek()?.type];
+    if (!operator) {
+      return left;
+    }
+
+    if (!['Identifier', 'PropertyAccess', 'IndexAccess'].includes(left.type)) {
+      throw JsxDslError.atToken(`Invalid assignment target: ${left.type}`, start, ERROR_CODES.INVALID_ASSIGNMENT);
+    }
+    advance();
+    const value = parseAssignment();
+    return { type: 'Assignment', operator, target: left, value, loc: locationOf(start) };
+  };
+
+  const parseConditional = () => {
+    const test = parseBinary(0);
+    skipNewlinesInGroup();
+    if (peek()?.type !== TOKEN_TYPES.QUESTION) {
+      return test;
+    }
+    advance();
+    skipNewlinesInGroup();
+    const consequent = parseAssignment();
+    skipNewlinesInGroup();
+    consume(TOKEN_TYPES.PROP, 'Expected : in conditional expression');
+    skipNewlinesInGroup();
+    const alternate = parseAssignment();
+    return { type: 'Conditional', test, consequent, alternate };
+  };
+
+  // The operator starting at the current token, and how many tokens it spans
+  const binaryOperatorAt = () => {
+    const token = peek();
+    const keyword = KEYWORD_OPERATORS.find(keyword => isKeyword(token, keyword));
+    if (keyword) {
+      return { operator: keyword, precedence: BINARY_OPERATORS[TOKEN_TYPES.LT].precedence, length: 1 };
+    }
+    const shift = SHIFT_OPERATORS.find(({ types }) => types.every((type, i) => {
+      const current = peek(i);
+      const previous = peek(i - 1);
+      return current?.type === type &&
+        (i === 0 || (previous.endLine === current.line && previous.endColumn === current.column));
+    }));
+    if (shift) {
+      return { operator: shift.operator, precedence: SHIFT_PRECEDENCE, length: shift.types.length };
+    }
+    const entry = BINARY_OPERATORS[token?.type];
+    if (!entry) return null;
+    return { ...entry, operator: entry.operator || token.value, length: 1 };
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+
+    while (true) {
+      skipNewlinesInGroup();
+      const op = binaryOperatorAt();
+      if (!op || op.precedence <= minPrecedence) break;
+      for (let i = 0; i < op.length; i++) advance();
+      skipNewlinesInGroup();
+      // a ** b ** c groups as a ** (b ** c)
+      const right = parseBinary(op.rightAssociative ? op.precedence - 1 : op.precedence);
+      left = { type: 'BinaryOp', operator: op.operator, left, right };
+    }
+
+    return left;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+
+    const operator = UNARY_OPERATORS[token?.type];
+    if (operator) {
+      advance();
+      return { type: 'UnaryOp', operator, argument: parseUnary() };
+    }
+
+    if (isKeyword(token, 'typeof') || isKeyword(token, 'void') || isKeyword(token, 'delete')) {
+      advance();
+      return { type: 'UnaryOp', operator: token.value, argument: parseUnary() };
+    }
+
+    if (isKeyword(token, 'await')) {
+      advance();
+      return { type: 'Await', argument: parseUnary() };
+    }
+
+    if (token?.type === TOKEN_TYPES.INCREMENT || token?.type === TOKEN_TYPES.DECREMENT) {
+      advance();
+      const target = parseUnary();
+      return { type: 'Update', operator: token.type === TOKEN_TYPES.INCREMENT ? '++' : '--', target, prefix: true };
+    }
+
+    return parsePostfix();
+  };
+
+  const parsePostfix = () => {
+    const expr = parseCallOrMember();
+
+    if (peek()?.type === TOKEN_TYPES.INCREMENT) {
+      advance();
+      return { type: 'Update', operator: '++', target: expr, prefix: false };
+    }
+
+    if (peek()?.type === TOKEN_TYPES.DECREMENT) {
+      advance();
+      return { type: 'Update', operator: '--', target: expr, prefix: false };
+    }
+
+    return expr;
+  };
+
+  const parsePropertyName = () => {
+    const token = consume(TOKEN_TYPES.IDENTIFIER, 'Expected property or method name');
+    return token.value;
+  };
+
+  const parseCallOrMember = () => {
+    let expr;
+
+    if (isKeyword(peek(), 'new')) {
+      advance();
+      const callee = parseMemberOnly();
+      const args = peek()?.type === TOKEN_TYPES.LPAREN
+        ? (advance(), parseList(TOKEN_TYPES.RPAREN, parseArgument))
+        : [];
+      expr = { type: 'New', callee, args };
+    } else {
+      expr = parsePrimary();
+    }
+
+    while (true) {
+      const token = peek();
+      if (nesting > 0 && token?.type === TOKEN_TYPES.NEWLINE) {
+        // Allow chained calls to continue on the next line inside groups
+        let offset = 0;
+        while (peek(offset)?.type === TOKEN_TYPES.NEWLINE) offset++;
+        const next = peek(offset)?.type;
+        if (next !== TOKEN_TYPES.DOT && next !== TOKEN_TYPES.OPTIONAL_CHAIN) break;
+        skipNewlines();
+        continue;
       }
 
-      if (peek()?.type === TOKEN_TYPES.MINUS) {
+      if (token?.type === TOKEN_TYPES.DOT) {
         advance();
-        const right = parseExpression();
-        return { type: 'BinaryOp', operator: '-', left: { type: 'Identifier', name }, right };
+        expr = { type: 'PropertyAccess', object: expr, property: parsePropertyName(), optional: false };
+      } else if (token?.type === TOKEN_TYPES.OPTIONAL_CHAIN) {
+        advance();
+        if (peek()?.type === TOKEN_TYPES.LPAREN) {
+          advance();
+          expr = { type: 'Call', callee: expr, args: parseList(TOKEN_TYPES.RPAREN, parseArgument), optional: true };
+        } else if (peek()?.type === TOKEN_TYPES.LBRACKET) {
+          advance();
+          expr = { type: 'IndexAccess', object: expr, index: parseIndex(), optional: true };
+        } else {
+          expr = { type: 'PropertyAccess', object: expr, property: parsePropertyName(), optional: true };
+        }
+      } else if (token?.type === TOKEN_TYPES.LBRACKET && !isDepsOverride()) {
+        advance();
+        expr = { type: 'IndexAccess', object: expr, index: parseIndex(), optional: false };
+      } else if (token?.type === TOKEN_TYPES.LPAREN) {
+        advance();
+        expr = { type: 'Call', callee: expr, args: parseList(TOKEN_TYPES.RPAREN, parseArgument), optional: false };
+      } else {
+        break;
       }
+    }
 
-      if (peek()?.type === TOKEN_TYPES.MULTIPLY) {
-        advance();
-        const right = parseExpression();
-        return { type: 'BinaryOp', operator: '*', left: { type: 'Identifier', name }, right };
+    return expr;
+  };
+
+  // Callee of `new`: member access without calls, so `new Date()` keeps its arguments
+  const parseMemberOnly = () => {
+    let expr = parsePrimary();
+    while (peek()?.type === TOKEN_TYPES.DOT) {
+      advance();
+      expr = { type: 'PropertyAccess', object: expr, property: parsePropertyName(), optional: false };
+    }
+    return expr;
+  };
+
+  const parseIndex = () => {
+    nesting++;
+    skipNewlines();
+    const index = parseExpression();
+    skipNewlines();
+    nesting--;
+    consume(TOKEN_TYPES.RBRACKET);
+    return index;
+  };
+
+  const parseArgument = () => {
+    if (peek()?.type === TOKEN_TYPES.SPREAD) {
+      advance();
+      return { type: 'Spread', argument: parseAssignment() };
+    }
+    return parseAssignment();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token?.type === TOKEN_TYPES.NUMBER) {
+      advance();
+      return { type: 'Literal', value: token.value, raw: String(token.value) };
+    }
+
+    if (token?.type === TOKEN_TYPES.STRING) {
+      advance();
+      return { type: 'Literal', value: token.value, raw: token.raw ?? JSON.stringify(token.value) };
+    }
+
+    if (token?.type === TOKEN_TYPES.TEMPLATE_STRING || token?.type === TOKEN_TYPES.TEMPLATE_HEAD) {
+      return parseTemplateLiteral();
+    }
+
+    if (token?.type === TOKEN_TYPES.IDENTIFIER) {
+      advance();
+      if (token.value in LITERAL_KEYWORDS) {
+        return { type: 'Literal', value: LITERAL_KEYWORDS[token.value], raw: token.value };
       }
+      return { type: 'Identifier', name: token.value, loc: locationOf(token) };
+    }
 
-      if (peek()?.type === TOKEN_TYPES.SLASH) {
+    if (token?.type === TOKEN_TYPES.LPAREN) {
+      advance();
+      nesting++;
+      skipNewlines();
+      const expr = parseExpression();
+      skipNewlines();
+      nesting--;
+      consume(TOKEN_TYPES.RPAREN);
+      return expr;
+    }
+
+    if (token?.type === TOKEN_TYPES.LBRACKET) {
+      advance();
+      return { type: 'Array', elements: parseList(TOKEN_TYPES.RBRACKET, parseArgument) };
+    }
+
+    if (token?.type === TOKEN_TYPES.LBRACE) {
+      advance();
+      return { type: 'Object', properties: parseList(TOKEN_TYPES.RBRACE, parseObjectProperty) };
+    }
+
+    // JSX in operand position, e.g. {loading ? <Spinner /> : <List />}
+    if (token?.type === TOKEN_TYPES.LT && peek(1)?.type === TOKEN_TYPES.IDENTIFIER) {
+      return parseJSXElement();
+    }
+
+    throw JsxDslError.atToken(`Unexpected token in expression: ${token?.type}`, token);
+  };
+
+  const parseTemplateLiteral = () => {
+    const head = advance();
+    const quasis = [head.value];
+    const expressions = [];
+
+    if (head.type === TOKEN_TYPES.TEMPLATE_STRING) {
+      return { type: 'TemplateLiteral', quasis, expressions };
+    }
+
+    while (true) {
+      nesting++;
+      skipNewlines();
+      expressions.push(parseExpression());
+      skipNewlines();
+      nesting--;
+      const next = peek();
+      if (next?.type === TOKEN_TYPES.TEMPLATE_MIDDLE) {
         advance();
-        const right = parseExpression();
-        return { type: 'BinaryOp', operator: '/', left: { type: 'Identifier', name }, right };
+        quasis.push(next.value);
+      } else {
+        quasis.push(consume(TOKEN_TYPES.TEMPLATE_TAIL, 'Unterminated template literal').value);
+        return { type: 'TemplateLiteral', quasis, expressions };
       }
+    }
+  };
 
-      // Check for method call or property access
-      if (peek()?.type === TOKEN_TYPES.DOT) {
-        advance();
-        const property = consume(TOKEN_TYPES.IDENTIFIER, 'Expected property or method name').value;
+  // Object literal property: key: value, shorthand, [computed]: value or ...spread
+  const parseObjectProperty = () => {
+    const token = peek();
 
-        // Check if it's a method call (has parentheses)
-        if (peek()?.type === TOKEN_TYPES.LPAREN) {
-          consume(TOKEN_TYPES.LPAREN);
-          const args = [];
-          while (peek()?.type !== TOKEN_TYPES.RPAREN) {
-            args.push(parseExpression());
-            if (peek()?.type === TOKEN_TYPES.COMMA) {
-              advance();
-            }
-          }
-          consume(TOKEN_TYPES.RPAREN);
-          return { type: 'MethodCall', object: name, method: property, args };
-        } else {
-          // Property access
-          return { type: 'PropertyAccess', object: name, property };
+    if (token?.type === TOKEN_TYPES.SPREAD) {
+      advance();
+      return { type: 'Spread', argument: parseAssignment() };
+    }
+
+    let key;
+    let computed = false;
+    if (token?.type === TOKEN_TYPES.LBRACKET) {
+      advance();
+      key = parseIndex();
+      computed = true;
+    } else if (token?.type === TOKEN_TYPES.IDENTIFIER) {
+      key = advance().value;
+    } else if (token?.type === TOKEN_TYPES.STRING) {
+      key = advance().raw;
+    } else if (token?.type === TOKEN_TYPES.NUMBER) {
+      key = String(advance().value);
+    } else {
+      throw JsxDslError.atToken(`Unexpected token in object literal: ${token?.type}`, token);
+    }
+
+    if (peek()?.type === TOKEN_TYPES.PROP) {
+      advance();
+      skipNewlines();
+      return { type: 'Property', key, computed, value: parseAssignment(), shorthand: false };
+    }
+
+    if (computed || token.type !== TOKEN_TYPES.IDENTIFIER) {
+      throw JsxDslError.atToken('Expected : after object key', peek());
+    }
+    return { type: 'Property', key, computed, value: { type: 'Identifier', name: key, loc: locationOf(token) }, shorthand: true };
+  };
+
+  // Look ahead for `x =>`, `(...) =>` and their async forms without consuming
+  const isArrowFunctionAhead = () => {
+    let offset = 0;
+    if (isKeyword(peek(), 'async') && peek(1)?.type !== TOKEN_TYPES.ARROW) {
+      offset = 1;
+    }
+
+    const token = peek(offset);
+    if (token?.type === TOKEN_TYPES.IDENTIFIER) {
+      return peek(offset + 1)?.type === TOKEN_TYPES.ARROW;
+    }
+
+    if (token?.type !== TOKEN_TYPES.LPAREN) {
+      return false;
+    }
+
+    let depth = 0;
+    for (let i = offset; peek(i) && peek(i).type !== TOKEN_TYPES.EOF; i++) {
+      const type = peek(i).type;
+      if (type === TOKEN_TYPES.LPAREN || type === TOKEN_TYPES.LBRACKET || type === TOKEN_TYPES.LBRACE) {
+        depth++;
+      } else if (type === TOKEN_TYPES.RPAREN || type === TOKEN_TYPES.RBRACKET || type === TOKEN_TYPES.RBRACE) {
+        depth--;
+        if (depth === 0) {
+          return peek(i + 1)?.type === TOKEN_TYPES.ARROW;
         }
       }
+    }
+    return false;
+  };
 
-      return { type: 'Identifier', name };
+  // `parseParam` reads one parameter given its position
+  const parseArrowFunction = (parseParam = parseParameter) => {
+    let isAsync = false;
+    if (isKeyword(peek(), 'async') && peek(1)?.type !== TOKEN_TYPES.ARROW) {
+      advance();
+      isAsync = true;
     }
 
-    // Handle parenthesized arrow functions: () => body or (a, b) => body
-    if (token?.type === TOKEN_TYPES.LPAREN) {
+    let params;
+    if (peek()?.type === TOKEN_TYPES.IDENTIFIER) {
+      params = [advance().value];
+    } else {
+      consume(TOKEN_TYPES.LPAREN);
+      let index = 0;
+      params = parseList(TOKEN_TYPES.RPAREN, () => parseParam(index++));
+    }
+
+    consume(TOKEN_TYPES.ARROW, 'Expected => after parameters');
+
+    const body = peek()?.type === TOKEN_TYPES.LBRACE
+      ? parseBlock()
+      : parseAssignment();
+
+    return isAsync
+      ? { type: 'ArrowFunction', params, body, async: true }
+      : { type: 'ArrowFunction', params, body };
+  };
+
+  const parseParameter = () => {
+    if (peek()?.type === TOKEN_TYPES.SPREAD) {
+      advance();
+      return { type: 'RestElement', argument: parseBindingPattern() };
+    }
+    return parseBindingElement();
+  };
+
+  // Binding target with optional default: name, {a, b: c}, [x, y] or name = value
+  const parseBindingElement = () => {
+    const target = parseBindingPattern();
+    if (peek()?.type === TOKEN_TYPES.ASSIGN) {
+      advance();
+      return { type: 'AssignmentPattern', left: target, right: parseAssignment() };
+    }
+    return target;
+  };
+
+  // Identifiers bind as plain names; destructuring produces pattern nodes
+  const parseBindingPattern = () => {
+    const token = peek();
+
+    if (token?.type === TOKEN_TYPES.IDENTIFIER) {
+      return advance().value;
+    }
+
+    if (token?.type === TOKEN_TYPES.LBRACE) {
       advance();
-      const params = [];
-      while (peek()?.type !== TOKEN_TYPES.RPAREN) {
-        params.push(consume(TOKEN_TYPES.IDENTIFIER, 'Expected parameter name').value);
-        if (peek()?.type === TOKEN_TYPES.COMMA) {
+      const properties = parseList(TOKEN_TYPES.RBRACE, () => {
+        if (peek()?.type === TOKEN_TYPES.SPREAD) {
           advance();
+          return { type: 'RestElement', argument: consume(TOKEN_TYPES.IDENTIFIER, 'Expected rest name').value };
         }
-      }
-      consume(TOKEN_TYPES.RPAREN);
-      consume(TOKEN_TYPES.ARROW, 'Expected => after parameters');
-      const body = parseExpression();
-      return { type: 'ArrowFunction', params, body };
+        const key = consume(TOKEN_TYPES.IDENTIFIER, 'Expected property name in pattern').value;
+        if (peek()?.type === TOKEN_TYPES.PROP) {
+          advance();
+          return { key, value: parseBindingElement(), shorthand: false };
+        }
+        if (peek()?.type === TOKEN_TYPES.ASSIGN) {
+          advance();
+          return { key, value: { type: 'AssignmentPattern', left: key, right: parseAssignment() }, shorthand: true };
+        }
+        return { key, value: key, shorthand: true };
+      });
+      return { type: 'ObjectPattern', properties };
     }
 
-    // Handle arrays
     if (token?.type === TOKEN_TYPES.LBRACKET) {
       advance();
-      const elements = [];
-      while (peek()?.type !== TOKEN_TYPES.RBRACKET) {
-        elements.push(parseExpression());
-        if (peek()?.type === TOKEN_TYPES.COMMA) {
+      const elements = parseList(TOKEN_TYPES.RBRACKET, parseParameter);
+      return { type: 'ArrayPattern', elements };
+    }
+
+    throw JsxDslError.atToken(`Expected binding pattern but got ${token?.type}`, token);
+  };
+
+  // Parse a statement block: { statement; statement }
+  // Statements are separated by newlines or semicolons.
+  const parseBlock = () => {
+    consume(TOKEN_TYPES.LBRACE);
+    const outerNesting = nesting;
+    nesting = 0;
+
+    const body = [];
+    const skipSeparators = () => {
+      while (peek()?.type === TOKEN_TYPES.NEWLINE || peek()?.type === TOKEN_TYPES.SEMICOLON) {
+        advance();
+      }
+    };
+
+    skipSeparators();
+    while (peek()?.type !== TOKEN_TYPES.RBRACE) {
+      if (isAtEnd()) {
+        throw JsxDslError.atToken('Unterminated block: expected }', peek());
+      }
+      body.push(parseStatement());
+      skipSeparators();
+    }
+    consume(TOKEN_TYPES.RBRACE);
+
+    nesting = outerNesting;
+    return { type: 'Block', body };
+  };
+
+  const parseStatement = () => {
+    const token = peek();
+
+    if (isKeyword(token, 'const') || isKeyword(token, 'let') || isKeyword(token, 'var')) {
+      advance();
+      const declarations = [];
+      do {
+        if (declarations.length > 0) advance(); // ,
+        const id = parseBindingPattern();
+        let init = null;
+        if (peek()?.type === TOKEN_TYPES.ASSIGN) {
           advance();
+          init = parseExpression();
         }
+        declarations.push({ id, init });
+      } while (peek()?.type === TOKEN_TYPES.COMMA);
+      return { type: 'VariableDeclaration', kind: token.value, declarations };
+    }
+
+    if (isKeyword(token, 'return')) {
+      advance();
+      const next = peek()?.type;
+      const ends = next === TOKEN_TYPES.NEWLINE || next === TOKEN_TYPES.SEMICOLON || next === TOKEN_TYPES.RBRACE;
+      return { type: 'Return', argument: ends ? null : parseExpression() };
+    }
+
+    if (isKeyword(token, 'if')) {
+      advance();
+      consume(TOKEN_TYPES.LPAREN, 'Expected ( after if');
+      nesting++;
+      const test = parseExpression();
+      nesting--;
+      consume(TOKEN_TYPES.RPAREN, 'Expected ) after if condition');
+      const consequent = parseStatementBody();
+
+      let alternate = null;
+      let offset = 0;
+      while (peek(offset)?.type === TOKEN_TYPES.NEWLINE) offset++;
+      if (isKeyword(peek(offset), 'else')) {
+        skipNewlines();
+        advance();
+        alternate = parseStatementBody();
       }
-      consume(TOKEN_TYPES.RBRACKET);
-      return { type: 'Array', elements };
+      return { type: 'If', test, consequent, alternate };
+    }
+
+    if (token?.type === TOKEN_TYPES.LBRACE) {
+      return parseBlock();
     }
 
-    throw new Error(`Unexpected token in expression: ${token?.type}`);
+    return { type: 'ExpressionStatement', expression: parseExpression() };
+  };
+
+  // Body of if/else: a block or a single statement on the same line
+  const parseStatementBody = () => {
+    return peek()?.type === TOKEN_TYPES.LBRACE ? parseBlock() : parseStatement();
   };
 
   // Parse JSX
@@ -488,48 +1359,51 @@ export function parse(tokens) {
     const elements = [];
 
     while (!isAtEnd() && peek()?.type === TOKEN_TYPES.LT) {
-      elements.push(parseJSXElement());
+      elements.push(parseJSXNode());
       skipNewlines();
     }
 
-    return elements.length === 1 ? elements[0] : { type: 'JSXFragment', children: elements };
+    // A conditional block renders as an expression, so it needs a fragment at the root
+    return elements.length === 1 && elements[0].type === 'JSXElement'
+      ? elements[0]
+      : { type: 'JSXFragment', children: elements };
+  };
+
+  const isJSXTag = (name) => peek()?.type === TOKEN_TYPES.LT &&
+    peek(1)?.type === TOKEN_TYPES.IDENTIFIER && peek(1)?.value === name;
+
+  // Parse an element or one of the special <each> and <if> tags
+  const parseJSXNode = () => {
+    if (isJSXTag('each')) {
+      return parseEachLoop();
+    }
+    if (isJSXTag('if')) {
+      return parseIfBlock();
+    }
+    if (isJSXTag('elif') || isJSXTag('else')) {
+      throw JsxDslError.atToken(`<${peek(1).value}> without a preceding <if>`, peek(1), ERROR_CODES.INVALID_SPECIAL_TAG);
+    }
+    return parseJSXElement();
   };
 
   const parseJSXElement = () => {
-    consume(TOKEN_TYPES.LT);
+    const loc = locationOf(consume(TOKEN_TYPES.LT));
     const tagName = consume(TOKEN_TYPES.IDENTIFIER, 'Expected tag name').value;
 
     const attributes = [];
 
     // Parse attributes
     while (peek()?.type !== TOKEN_TYPES.GT && peek()?.type !== TOKEN_TYPES.SLASH) {
-      if (peek()?.type === TOKEN_TYPES.STATE && peek(1)?.type === TOKEN_TYPES.IDENTIFIER) {
-        // Special syntax for @click=handler
-        advance();
-        const name = advance().value;
-        consume(TOKEN_TYPES.ASSIGN);
-        const value = consume(TOKEN_TYPES.IDENTIFIER).value;
-        attributes.push({ name, value: { type: 'EventHandler', handler: value } });
-      } else if (peek()?.type === TOKEN_TYPES.IDENTIFIER) {
-        const name = advance().value;
-        if (peek()?.type === TOKEN_TYPES.ASSIGN) {
-          advance();
-          if (peek()?.type === TOKEN_TYPES.LBRACE) {
-            advance();
-            const value = parseExpression();
-            consume(TOKEN_TYPES.RBRACE);
-            attributes.push({ name, value });
-          } else {
-            const value = parseExpression();
-            attributes.push({ name, value });
-          }
-        } else {
-          // Boolean attribute (no value)
-          attributes.push({ name, value: { type: 'Literal', value: 'true' } });
-        }
-      } else {
-        // Skip unknown tokens
+      if (isAtEnd()) {
+        throw JsxDslError.atToken(`Unterminated <${tagName}> tag`, peek(), ERROR_CODES.UNCLOSED_TAG);
+      }
+      if (peek().type === TOKEN_TYPES.NEWLINE) {
         advance();
+        continue;
+      }
+      const attribute = attempt(() => parseJSXAttribute(tagName), synchronizeAttribute);
+      if (attribute) {
+        attributes.push(attribute);
       }
     }
 
@@ -537,66 +1411,245 @@ export function parse(tokens) {
     if (peek()?.type === TOKEN_TYPES.SLASH) {
       advance();
       consume(TOKEN_TYPES.GT);
-      return { type: 'JSXElement', tagName, attributes, children: [] };
+      return { type: 'JSXElement', tagName, attributes, children: [], loc };
     }
 
     consume(TOKEN_TYPES.GT);
 
+    const children = parseJSXChildren(tagName);
+
+    return { type: 'JSXElement', tagName, attributes, children, loc };
+  };
+
+  // Parse one attribute; unknown tokens are reported and yield null
+  const parseJSXAttribute = (tagName) => {
+    const loc = locationOf(peek());
+    if (peek()?.type === TOKEN_TYPES.STATE && peek(1)?.type === TOKEN_TYPES.IDENTIFIER) {
+      // Event attributes: @click=handler, @click=count++ or @click={() => remove(id)}
+      advance();
+      const name = advance().value;
+      consume(TOKEN_TYPES.ASSIGN);
+      const start = peek();
+      const handler = parseEventAttributeValue();
+      if (handler.type === 'Identifier') {
+        return { name, value: { type: 'EventHandler', handler: handler.name, loc: handler.loc }, loc };
+      }
+      return { name, value: { type: 'InlineHandler', handler, loc: locationOf(start) }, loc };
+    }
+
+    if (peek()?.type === TOKEN_TYPES.LBRACE && peek(1)?.type === TOKEN_TYPES.SPREAD) {
+      // Spread attribute: {...rest}
+      advance();
+      advance();
+      const value = parseExpression();
+      consume(TOKEN_TYPES.RBRACE, 'Expected } after spread attribute');
+      return { spread: true, value, loc };
+    }
+
+    if (peek()?.type !== TOKEN_TYPES.IDENTIFIER) {
+      warnIgnored(advance(), `in <${tagName}> attributes`);
+      return null;
+    }
+
+    const name = advance().value;
+    if (peek()?.type !== TOKEN_TYPES.ASSIGN) {
+      // Boolean attribute (no value)
+      return { name, value: { type: 'Literal', value: true, raw: 'true' }, loc };
+    }
+
+    advance();
+    return { name, value: parseTagValue(), loc };
+  };
+
+  // An inline handler: one braced expression is the handler itself, several
+  // statements ({ saving = true; count++ }) run in order when the event fires
+  const parseEventAttributeValue = () => {
+    if (peek()?.type !== TOKEN_TYPES.LBRACE) {
+      return parseUnary();
+    }
+    const block = parseBlock();
+    return block.body.length === 1 && block.body[0].type === 'ExpressionStatement'
+      ? block.body[0].expression
+      : { type: 'ArrowFunction', params: [], body: block };
+  };
+
+  // Skip the rest of a broken attribute: past the braces it failed in, or up
+  // to the end of its line or the tag
+  const synchronizeAttribute = () => {
+    let depth = 0;
+    while (!isAtEnd()) {
+      const type = peek().type;
+      if (type === TOKEN_TYPES.LBRACE) {
+        depth++;
+      } else if (type === TOKEN_TYPES.RBRACE) {
+        if (depth === 0) {
+          advance();
+          return;
+        }
+        depth--;
+      } else if (depth === 0 && [TOKEN_TYPES.GT, TOKEN_TYPES.SLASH, TOKEN_TYPES.NEWLINE].includes(type)) {
+        return;
+      }
+      advance();
+    }
+  };
+
+  // Tags whose children are being parsed, innermost last
+  const openTags = [];
+
+  // Skip a broken child up to the next tag (a sibling or the closing tag),
+  // dropping the broken child's own closing tag
+  const synchronizeChild = () => {
+    while (!isAtEnd() && peek().type !== TOKEN_TYPES.LT) {
+      advance();
+    }
+    if (peek(1)?.type === TOKEN_TYPES.SLASH && peek(2)?.type === TOKEN_TYPES.IDENTIFIER &&
+        !openTags.includes(peek(2).value)) {
+      position += 3;
+      if (peek()?.type === TOKEN_TYPES.GT) {
+        advance();
+      }
+    }
+  };
+
+  // Parse children up to and including the closing tag
+  const parseJSXChildren = (tagName) => {
     const children = [];
+    const enclosingTags = [...openTags];
+    openTags.push(tagName);
+    try {
+      parseJSXChildList(tagName, children);
+    } finally {
+      openTags.pop();
+    }
+
+    if (isAtEnd()) {
+      report(JsxDslError.atToken(`Unclosed tag: expected </${tagName}>`, peek(), ERROR_CODES.UNCLOSED_TAG));
+      return children;
+    }
+
+    // Closing tag
+    const closingStart = position;
+    consume(TOKEN_TYPES.LT);
+    consume(TOKEN_TYPES.SLASH);
+    const closingToken = consume(TOKEN_TYPES.IDENTIFIER);
+    const closingTag = closingToken.value;
+    if (closingTag !== tagName) {
+      report(JsxDslError.atToken(`Mismatched closing tag: expected ${tagName} but got ${closingTag}`, closingToken, ERROR_CODES.MISMATCHED_TAG));
+      // Leave a closing tag that belongs to an enclosing element for that element
+      if (enclosingTags.includes(closingTag)) {
+        position = closingStart;
+        return children;
+      }
+    }
+    consume(TOKEN_TYPES.GT);
 
-    // Parse children
-    while (!(peek()?.type === TOKEN_TYPES.LT && peek(1)?.type === TOKEN_TYPES.SLASH)) {
+    return children;
+  };
+
+  // Parse children until a closing tag or the end of input
+  const parseJSXChildList = (tagName, children) => {
+    while (!isAtEnd() && !(peek()?.type === TOKEN_TYPES.LT && peek(1)?.type === TOKEN_TYPES.SLASH)) {
       if (peek()?.type === TOKEN_TYPES.LT) {
-        // Check for <each> special tag
-        if (peek(1)?.type === TOKEN_TYPES.IDENTIFIER && peek(1)?.value === 'each') {
-          children.push(parseEachLoop());
-        } else {
-          children.push(parseJSXElement());
+        const node = attempt(parseJSXNode, synchronizeChild);
+        if (node) {
+          children.push(node);
         }
-      } else if (peek()?.type === TOKEN_TYPES.LBRACE) {
+      } else if (peek()?.type === TOKEN_TYPES.LBRACE && peek(1)?.type === TOKEN_TYPES.RBRACE) {
+        // Comment-only container: {/* note */}
         advance();
-        const expr = parseExpression();
-        consume(TOKEN_TYPES.RBRACE);
-        children.push({ type: 'JSXExpression', expression: expr });
-      } else if (peek()?.type === TOKEN_TYPES.IDENTIFIER ||
-                 peek()?.type === TOKEN_TYPES.STRING ||
-                 peek()?.type === TOKEN_TYPES.NUMBER) {
+        for (const comment of advance().leadingComments || []) {
+          children.push({ type: 'JSXComment', value: comment.value });
+        }
+      } else if (peek()?.type === TOKEN_TYPES.LBRACE) {
+        const loc = locationOf(peek());
+        const expression = attempt(() => {
+          advance();
+          const expr = parseExpression();
+          consume(TOKEN_TYPES.RBRACE);
+          return expr;
+        }, skipPastClosingBrace);
+        if (expression) {
+          children.push({ type: 'JSXExpression', expression, loc });
+        }
+      } else if (peek()?.type === TOKEN_TYPES.JSX_TEXT) {
         const text = advance();
-        children.push({ type: 'JSXText', value: text.value });
-      } else if (peek()?.type === TOKEN_TYPES.MINUS) {
-        advance();
-        children.push({ type: 'JSXText', value: '-' });
-      } else if (peek()?.type === TOKEN_TYPES.PLUS) {
-        advance();
-        children.push({ type: 'JSXText', value: '+' });
-      } else if (peek()?.type === TOKEN_TYPES.PROP) {
-        advance();
-        children.push({ type: 'JSXText', value: ':' });
+        const value = cleanJSXText(text.value);
+        if (value) {
+          children.push({ type: 'JSXText', value, raw: text.value, loc: locationOf(text) });
+        }
       } else {
-        advance(); // Skip unknown tokens
+        warnIgnored(advance(), `in <${tagName}> children`);
       }
     }
+  };
 
-    // Closing tag
+  // Newlines and whitespace-only text between special tags carry no content
+  const isBlank = (token) => token?.type === TOKEN_TYPES.NEWLINE ||
+    (token?.type === TOKEN_TYPES.JSX_TEXT && !token.value.trim());
+
+  const skipBlank = () => {
+    while (isBlank(peek())) {
+      advance();
+    }
+  };
+
+  // Parse conditional rendering: <if cond={a}>…</if><elif cond={b}>…</elif><else>…</else>
+  const parseIfBlock = () => {
+    const loc = locationOf(peek());
+    const branches = [parseConditionalBranch('if')];
+    let alternate = null;
+
+    while (true) {
+      // Branches may be separated by whitespace
+      let offset = 0;
+      while (isBlank(peek(offset))) offset++;
+      if (peek(offset)?.type !== TOKEN_TYPES.LT || peek(offset + 1)?.type !== TOKEN_TYPES.IDENTIFIER) break;
+
+      const tagName = peek(offset + 1).value;
+      if (tagName === 'elif') {
+        skipBlank();
+        branches.push(parseConditionalBranch('elif'));
+      } else if (tagName === 'else') {
+        skipBlank();
+        consume(TOKEN_TYPES.LT);
+        advance(); // else
+        consume(TOKEN_TYPES.GT, 'Expected > after <else');
+        alternate = parseJSXChildren('else');
+        break;
+      } else {
+        break;
+      }
+    }
+
+    return { type: 'IfBlock', branches, alternate, loc };
+  };
+
+  const parseConditionalBranch = (tagName) => {
     consume(TOKEN_TYPES.LT);
-    consume(TOKEN_TYPES.SLASH);
-    const closingTag = consume(TOKEN_TYPES.IDENTIFIER).value;
-    if (closingTag !== tagName) {
-      throw new Error(`Mismatched closing tag: expected ${tagName} but got ${closingTag}`);
+    advance(); // if / elif
+
+    const attribute = consume(TOKEN_TYPES.IDENTIFIER, `Expected cond attribute on <${tagName}>`);
+    if (attribute.value !== 'cond') {
+      throw JsxDslError.atToken(`Expected cond attribute on <${tagName}> but got ${attribute.value}`, attribute, ERROR_CODES.INVALID_SPECIAL_TAG);
     }
+    consume(TOKEN_TYPES.ASSIGN);
+    const test = parseTagValue();
     consume(TOKEN_TYPES.GT);
 
-    return { type: 'JSXElement', tagName, attributes, children };
+    return { test, children: parseJSXChildren(tagName) };
   };
 
+  // Parse a loop: <each todo, i in todos key={todo.id}>…</each>
   const parseEachLoop = () => {
-    consume(TOKEN_TYPES.LT);
+    const loc = locationOf(consume(TOKEN_TYPES.LT));
     const each = consume(TOKEN_TYPES.IDENTIFIER);
     if (each.value !== 'each') {
-      throw new Error('Expected "each" in loop');
+      throw JsxDslError.atToken('Expected "each" in loop', each, ERROR_CODES.INVALID_SPECIAL_TAG);
     }
 
-    const item = consume(TOKEN_TYPES.IDENTIFIER, 'Expected item variable').value;
+    // A name or a destructuring pattern, scoped to the loop body
+    const item = parseBindingPattern();
 
     // Optional type annotation for the item
     let itemType = null;
@@ -604,36 +1657,142 @@ export function parse(tokens) {
       itemType = parseTypeAnnotation();
     }
 
-    const inKeyword = consume(TOKEN_TYPES.IDENTIFIER);
+    let index = null;
+    if (peek()?.type === TOKEN_TYPES.COMMA) {
+      advance();
+      index = consume(TOKEN_TYPES.IDENTIFIER, 'Expected index variable').value;
+    }
+
+    const inKeyword = consume(TOKEN_TYPES.IDENTIFIER, 'Expected "in" in each loop');
     if (inKeyword.value !== 'in') {
-      throw new Error('Expected "in" in each loop');
+      throw JsxDslError.atToken('Expected "in" in each loop', inKeyword, ERROR_CODES.INVALID_SPECIAL_TAG);
     }
-    const list = consume(TOKEN_TYPES.IDENTIFIER, 'Expected list variable').value;
-    consume(TOKEN_TYPES.GT);
+    const list = parseTagValue();
 
-    skipNewlines(); // Skip any newlines before template
+    let key = null;
+    if (isKeyword(peek(), 'key')) {
+      advance();
+      consume(TOKEN_TYPES.ASSIGN, 'Expected = after key');
+      key = parseTagValue();
+    }
+    consume(TOKEN_TYPES.GT, 'Expected > after each loop');
 
-    // Parse the template
-    const template = parseJSXElement();
+    const children = parseJSXChildren('each');
 
-    skipNewlines(); // Skip any newlines before closing tag
+    return { type: 'EachLoop', item, itemType, index, list, key, children, loc };
+  };
 
-    // Parse closing </each>
-    consume(TOKEN_TYPES.LT);
-    consume(TOKEN_TYPES.SLASH);
-    consume(TOKEN_TYPES.IDENTIFIER); // each
-    consume(TOKEN_TYPES.GT);
+  // A value inside a tag: braced expressions are unrestricted, unbraced ones
+  // stop before operators so `>` closes the tag
+  const parseTagValue = () => {
+    if (peek()?.type !== TOKEN_TYPES.LBRACE) {
+      return parseUnary();
+    }
+    advance();
+    const value = parseExpression();
+    consume(TOKEN_TYPES.RBRACE);
+    return value;
+  };
 
-    return { type: 'EachLoop', item, itemType, list, template };
+  // Column of the first declaration; recovery resumes at lines starting there
+  let declarationColumn = null;
+
+  const isDeclarationStart = (token) => DECLARATION_SIGILS.has(token.type) ||
+    isKeyword(token, 'import') || isKeyword(token, 'return') || isComponentStart(token) ||
+    (token.type === TOKEN_TYPES.LT && peek(1)?.type !== TOKEN_TYPES.SLASH);
+
+  const isComponentStart = (token) => isKeyword(token, 'component') || isKeyword(token, 'export');
+
+  // Skip to the next line that starts a declaration, or that is left of the
+  // declarations and so closes the component block they are in
+  const synchronizeDeclaration = () => {
+    while (!isAtEnd()) {
+      if (tokens[position - 1]?.type === TOKEN_TYPES.NEWLINE &&
+          ((peek().column === declarationColumn && isDeclarationStart(peek())) || peek().column < declarationColumn)) {
+        return;
+      }
+      advance();
+    }
   };
 
-  // Main parsing loop
-  while (!isAtEnd()) {
-    skipNewlines();
-    if (isAtEnd()) break;
+  // Parse declarations until the end of the tokens or `atEnd`
+  const parseDeclarations = (atEnd) => {
+    while (!isAtEnd()) {
+      skipNewlines();
+      if (isAtEnd() || atEnd()) break;
 
-    const token = peek();
+      const token = peek();
+      declarationColumn ??= token.column;
+      attempt(() => parseDeclaration(token), synchronizeDeclaration);
 
+      skipNewlines();
+    }
+  };
+
+  // Parse what a hook file returns:
+  //   return { count, increment }
+  const parseHookReturn = () => {
+    const returnToken = advance();
+    if (ast !== file) {
+      throw JsxDslError.atToken('Components return their JSX; only hook files have a return', returnToken, ERROR_CODES.INVALID_HOOK);
+    }
+    if (file.returns) {
+      throw JsxDslError.atToken('A hook can only return once', returnToken, ERROR_CODES.INVALID_HOOK);
+    }
+    file.returns = { value: parseExpression(), loc: locationOf(returnToken) };
+  };
+
+  // Parse a component block:
+  //   component ListItem { ... }
+  //   export component List { ... }
+  //   export default component List { ... }
+  const parseComponent = () => {
+    const startToken = peek();
+    if (ast !== file) {
+      throw JsxDslError.atToken('Component blocks cannot be nested', startToken, ERROR_CODES.INVALID_COMPONENT);
+    }
+
+    let exported = null;
+    if (isKeyword(peek(), 'export')) {
+      advance();
+      exported = 'named';
+      if (isKeyword(peek(), 'default')) {
+        advance();
+        exported = 'default';
+      }
+    }
+    if (!isKeyword(peek(), 'component')) {
+      throw JsxDslError.atToken('Expected "component" after export', peek(), ERROR_CODES.INVALID_COMPONENT);
+    }
+    advance();
+
+    // Lowercase JSX tags are HTML elements, so component names are capitalized
+    const nameToken = consume(TOKEN_TYPES.IDENTIFIER, 'Expected component name');
+    if (!/^[A-Z]/.test(nameToken.value)) {
+      throw JsxDslError.atToken(`Component name '${nameToken.value}' must start with a capital letter`, nameToken, ERROR_CODES.INVALID_COMPONENT);
+    }
+    if (exported === 'default' && file.components.some(component => component.exported === 'default')) {
+      throw JsxDslError.atToken('Only one component can be the default export', startToken, ERROR_CODES.INVALID_COMPONENT);
+    }
+    consume(TOKEN_TYPES.LBRACE, `Expected "{" after component ${nameToken.value}`);
+
+    const component = { ...createComponent(), name: nameToken.value, exported, loc: locationOf(nameToken) };
+    file.components.push(component);
+
+    const outerColumn = declarationColumn;
+    ast = component;
+    declarationColumn = null;
+    try {
+      parseDeclarations(() => peek()?.type === TOKEN_TYPES.RBRACE);
+    } finally {
+      ast = file;
+      declarationColumn = outerColumn;
+    }
+    // Editors find the block a position is in from its closing brace
+    component.endLoc = locationOf(consume(TOKEN_TYPES.RBRACE, `Expected "}" to close component ${nameToken.value}`));
+  };
+
+  const parseDeclaration = (token) => {
     switch (token?.type) {
       case TOKEN_TYPES.PROP:
         parseProp();
@@ -668,15 +1827,48 @@ export function parse(tokens) {
       case TOKEN_TYPES.ID:
         parseId();
         break;
+      case TOKEN_TYPES.PLUS:
+        parseHookCall();
+        break;
       case TOKEN_TYPES.LT:
         ast.jsx = parseJSX();
         break;
       default:
-        throw new Error(`Unexpected token: ${token?.type} at line ${token?.line}`);
+        if (isKeyword(token, 'import')) {
+          parseImport();
+          break;
+        }
+        if (isComponentStart(token)) {
+          parseComponent();
+          break;
+        }
+        if (isKeyword(token, 'return')) {
+          parseHookReturn();
+          break;
+        }
+        throw JsxDslError.atToken(`Unexpected token: ${token?.type}`, token);
     }
+  };
 
-    skipNewlines();
+  // Main parsing loop
+  parseDeclarations(() => false);
+
+  // Hooks have no markup and no ref to attach imperative handles to
+  if (file.returns && (file.jsx || file.components.length > 0 || file.handles.length > 0)) {
+    report(new JsxDslError(
+      "'return' makes this file a hook, which cannot contain JSX, component blocks or imperative handles",
+      { code: ERROR_CODES.INVALID_HOOK, ...file.returns.loc }
+    ));
+  }
+
+  // Top-level declarations make the file's own component, which is the default export
+  const defaultBlock = file.components.find(component => component.exported === 'default');
+  if (file.jsx && defaultBlock) {
+    report(new JsxDslError(
+      `Only one component can be the default export; '${defaultBlock.name}' conflicts with the file's top-level component`,
+      { code: ERROR_CODES.INVALID_COMPONENT, ...defaultBlock.loc }
+    ));
   }
 
-  return ast;
+  return recover ? { ast: file, errors, warnings } : file;
 }
\ No newline at end of file
@@ -20,7 +20,7 @@ export function compile(source, name = 'Component') {
     const ast = parse(tokens);
 
     // Generate JavaScript code
-    const code = generate(ast);
+    const code = generate(ast, { componentName: name });
 
     // Create component function from generated code
     // This uses eval which is not recommended for production
@@ -0,0 +1,40 @@
+// Source map utilities for JSX DSL
+import { SourceMapConsumer, SourceMapGenerator } from 'source-map';
+
+/**
+ * Compose two source maps: `outerMap` maps a transform's output to its input,
+ * `innerMap` maps that input back to the DSL source. The result maps the final
+ * output straight to the DSL source; positions without a DSL origin are dropped.
+ * @param {string|Object} outerMap - Map from the later transform (e.g. esbuild)
+ * @param {string|Object} innerMap - Map from generateTypeScript()
+ * @returns {Promise<Object>} Raw source map
+ */
+export async function chainSourceMaps(outerMap, innerMap) {
+  return SourceMapConsumer.with(innerMap, null, inner =>
+    SourceMapConsumer.with(outerMap, null, outer => {
+      const generator = new SourceMapGenerator({ file: outer.file });
+
+      outer.eachMapping(mapping => {
+        if (mapping.originalLine === null) return;
+        const original = inner.originalPositionFor({
+          line: mapping.originalLine,
+          column: mapping.originalColumn
+        });
+        if (original.source === null) return;
+        generator.addMapping({
+          generated: { line: mapping.generatedLine, column: mapping.generatedColumn },
+          source: original.source,
+          original: { line: original.line, column: original.column },
+          name: original.name ?? undefined
+        });
+      });
+
+      for (const source of inner.sources) {
+        const content = inner.sourceContentFor(source, true);
+        if (content !== null) generator.setSourceContent(source, content);
+      }
+
+      return generator.toJSON();
+    })
+  );
+}
@@ -2,6 +2,8 @@ import assert from 'node:assert';
 import { tokenize } from './tokenizer-ts.js';
 import { parse } from './parser-ts.js';
 import { generateTypeScript } from './generator-ts.js';
+import { generate } from './generator.js';
+import { JsxDslError, ERROR_CODES, formatCodeFrame } from './errors.js';
 
 let passed = 0;
 let failed = 0;
@@ -246,6 +248,39 @@ test('generates useReducer hook and reducer function', () => {
   assert.ok(code.includes('dispatchCount'), 'should generate dispatch with naming convention');
 });
 
+test('generates typed reducers with payloads and action helpers', () => {
+  const code = compile(`
+@todos:reducer::string[] = {[], {
+  add: (list, text::string) => list.concat(text),
+  rename: (list, {index, text}) => list.map((item, i) => i === index ? text : item),
+  clear: () => []
+}}
+<btn @click=clear>{todos.length}</btn>
+`);
+
+  assert.ok(code.includes(`type TodosAction =
+  | { type: 'add'; payload: string }
+  | { type: 'rename'; payload: any }
+  | { type: 'clear' };`));
+  assert.ok(code.includes('function todosReducer(state: string[], action: TodosAction): string[] {'));
+  assert.ok(code.includes("case 'add': return state.concat(action.payload);"), 'parameters are replaced everywhere');
+  assert.ok(code.includes("case 'rename': {\n      const { index, text } = action.payload;"));
+  assert.ok(code.includes(`  const add = (text: string) => dispatchTodos({ type: 'add', payload: text });
+  const rename = (payload: any) => dispatchTodos({ type: 'rename', payload });
+  const clear = () => dispatchTodos({ type: 'clear' });`));
+  assert.ok(code.includes('<button onClick={clear}>'));
+});
+
+test('declares action helpers for reducers', () => {
+  const { errors, symbols } = analyze(parse(tokenize(`
+@count:reducer = {0, {increment: s => s + 1, add: (s, n::number) => s + n}}
+!increment = dispatchCount({ type: "increment" })
+<p @click={add(2)}>{count}</p>`)));
+
+  assert.strictEqual(symbols.find(symbol => symbol.name === 'add').kind, 'action helper');
+  assert.deepStrictEqual(errors.map(error => [error.code, error.line]), [[ERROR_CODES.SETTER_COLLISION, 3]]);
+});
+
 // Transition modifier parsing
 test('parses @name:transition as transition declaration', () => {
   const tokens = tokenize('@submit:transition');
@@ -445,6 +480,1550 @@ test('generates useActionState hook for action declarations', () => {
   assert.ok(code.includes('const [formState, formStateAction, isPendingFormState] = useActionState(submitForm, 0)'), 'should generate useActionState call');
 });
 
+// Expression parsing
+test('parses ternaries with correct nesting', () => {
+  const result = parseExpr('a > 1 ? "many" : a === 0 ? "none" : "few"');
+
+  assert.strictEqual(result.type, 'Conditional');
+  assert.strictEqual(result.test.type, 'BinaryOp');
+  assert.strictEqual(result.test.operator, '>');
+  assert.strictEqual(result.alternate.type, 'Conditional');
+  assert.strictEqual(result.alternate.test.operator, '===');
+});
+
+test('respects operator precedence and left associativity', () => {
+  const result = parseExpr('a + b * c - d');
+
+  assert.strictEqual(result.operator, '-');
+  assert.strictEqual(result.left.operator, '+');
+  assert.strictEqual(result.left.right.operator, '*');
+});
+
+test('parses logical, nullish and unary operators', () => {
+  const result = parseExpr('!loading && (a || b) ?? c');
+
+  assert.strictEqual(result.operator, '??');
+  assert.strictEqual(result.left.operator, '&&');
+  assert.strictEqual(result.left.left.type, 'UnaryOp');
+  assert.strictEqual(result.left.left.operator, '!');
+  assert.strictEqual(result.left.right.operator, '||');
+});
+
+test('parses exponent, bitwise, shift and in operators at JavaScript precedence', () => {
+  const power = parseExpr('a ** b ** 2 * c');
+  assert.strictEqual(power.operator, '*');
+  assert.strictEqual(power.left.operator, '**');
+  assert.strictEqual(power.left.right.operator, '**', '** should group to the right');
+
+  const bitwise = parseExpr('a | b ^ c & d == e');
+  assert.strictEqual(bitwise.operator, '|');
+  assert.strictEqual(bitwise.right.operator, '^');
+  assert.strictEqual(bitwise.right.right.operator, '&');
+  assert.strictEqual(bitwise.right.right.right.operator, '==');
+
+  const shift = parseExpr('a + b << 1 < c >> 2 >>> d');
+  assert.strictEqual(shift.operator, '<');
+  assert.strictEqual(shift.left.operator, '<<');
+  assert.strictEqual(shift.left.left.operator, '+');
+  assert.strictEqual(shift.right.operator, '>>>');
+  assert.strictEqual(shift.right.left.operator, '>>');
+
+  const membership = parseExpr('"id" in user && a <<b');
+  assert.strictEqual(membership.operator, '&&');
+  assert.strictEqual(membership.left.operator, 'in');
+  assert.strictEqual(membership.right.operator, '<<', '`a <<b` should not start a tag');
+
+  assert.throws(() => parseExpr('a > > b'), /Unexpected token/, 'only adjacent > tokens form a shift');
+});
+
+test('prints exponent and bitwise operators with the parentheses they need', () => {
+  const code = compile(`
+@a = 2
+@b = 3
+%sq = a ** 2
+%left = (a ** b) ** 2
+%negative = (-a) ** 2
+%masked = (a | b) & 1
+%nested::Map<string, Array<number>> = new Map()
+<p>{sq}</p>
+`);
+
+  assert.ok(code.includes('() => a ** 2, [a]'));
+  assert.ok(code.includes('() => (a ** b) ** 2,'));
+  assert.ok(code.includes('() => (-a) ** 2,'));
+  assert.ok(code.includes('() => (a | b) & 1,'));
+  assert.ok(code.includes('Map<string, Array<number>>'), 'type arguments should still close with >>');
+});
+
+test('parses optional chaining and nested calls', () => {
+  const result = parseExpr('user?.profile?.name.trim().slice(0, max(1, n))');
+
+  assert.strictEqual(result.type, 'Call');
+  assert.strictEqual(result.callee.property, 'slice');
+  assert.strictEqual(result.args[1].type, 'Call');
+  assert.strictEqual(result.args[1].callee.name, 'max');
+});
+
+test('parses object literals with shorthand, spread and computed keys', () => {
+  const ast = parse(tokenize('%style = { color: "red", size, ...base, [key]: 1 }'));
+  const result = ast.memos[0].value;
+
+  assert.strictEqual(result.type, 'Object');
+  assert.strictEqual(result.properties.length, 4);
+  assert.strictEqual(result.properties[1].shorthand, true);
+  assert.strictEqual(result.properties[2].type, 'Spread');
+  assert.strictEqual(result.properties[3].computed, true);
+});
+
+test('parses template literals with substitutions', () => {
+  const result = parseExpr('`Hello ${user.name}, ${count + 1} new`');
+
+  assert.strictEqual(result.type, 'TemplateLiteral');
+  assert.deepStrictEqual(result.quasis, ['Hello ', ', ', ' new']);
+  assert.strictEqual(result.expressions.length, 2);
+  assert.strictEqual(result.expressions[1].type, 'BinaryOp');
+});
+
+test('parses multi-line arrays inside declarations', () => {
+  const ast = parse(tokenize('@items = [\n  "a",\n  "b",\n]\n<div />'));
+
+  assert.strictEqual(ast.states[0].initialValue.type, 'Array');
+  assert.strictEqual(ast.states[0].initialValue.elements.length, 2);
+});
+
+test('generates complex expressions in memos and JSX', () => {
+  const code = compile(`
+:user
+@count = 0
+%label = count > 10 ? "many" : "few"
+%name = user?.profile?.name ?? "anon"
+%style = { color: count ? "red" : "blue" }
+%product = (count + 1) * 2
+<div>{count > 0 ? <span>{label}</span> : "zero"}</div>
+`);
+
+  assert.ok(code.includes('useMemo(() => count > 10 ? "many" : "few", [count])'), 'should emit ternary memo');
+  assert.ok(code.includes('user?.profile?.name ?? "anon", [user]'), 'should emit optional chaining');
+  assert.ok(code.includes('useMemo(() => ({ color: count ? "red" : "blue" }), [count])'), 'should wrap object literal bodies');
+  assert.ok(code.includes('(count + 1) * 2'), 'should keep required parentheses');
+  assert.ok(code.includes('{count > 0 ? <span>{label}</span> : "zero"}'), 'should emit JSX inside expressions');
+});
+
+test('generates block-bodied async arrow callbacks', () => {
+  const code = compile(`
+^load = async (id) => { const res = await api.get(id)
+  return res.data }
+<div />
+`);
+
+  assert.ok(code.includes('useCallback(async (id) => {'), 'should keep async arrow');
+  assert.ok(code.includes('    const res = await api.get(id);'), 'should indent block statements');
+  assert.ok(code.includes('  }, []);'), 'should close the block before the deps and leave out the global api');
+});
+
+// Event handlers
+test('generates block handlers that receive the event and await', () => {
+  const code = compile(`
+import { api } from "./api"
+@form = {}
+@saving = false
+!submit(e) = { e.preventDefault(); saving = true; await api.save(form); saving = false }
+<form @submit=submit>{saving}</form>
+`);
+
+  assert.ok(code.includes(`  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await api.save(form);
+    setSaving(false);
+  };`));
+});
+
+test('types handler parameters in TypeScript output', () => {
+  const source = `
+import type { FormEvent } from "react"
+@name = ""
+!submit(e::FormEvent<HTMLFormElement>, id::number) = { e.preventDefault(); name = String(id) }
+<form @submit=submit>{name}</form>
+`;
+  const ast = parse(tokenize(source));
+  const js = generateTypeScript(ast, 'test.dsl', { typescript: false }).code;
+
+  assert.ok(compile(source).includes('const submit = (e: FormEvent<HTMLFormElement>, id: number) => {'));
+  assert.ok(js.includes('const submit = (e, id) => {'), 'should drop the types from JavaScript');
+  assert.deepStrictEqual(analyze(ast).warnings, [], 'should count the imported type as used');
+});
+
+test('uses functional updates when a state write reads the state', () => {
+  const code = compile(`
+@count = 0
+@total = 0
+!add(price) = { total = total + price; count++ }
+!reset = {
+  const count = 5
+  total = count
+}
+!select(id) = count = id
+<p @click=add @dblclick=reset @mouseenter=select>{count} {total}</p>
+`);
+
+  assert.ok(code.includes('setTotal((total) => total + price);'), 'should update from the latest total');
+  assert.ok(code.includes('setCount((count) => count + 1);'), 'should turn count++ into a functional update');
+  assert.ok(code.includes('const count = 5;\n    setTotal(count);'), 'should respect locals that shadow state');
+  assert.ok(code.includes('const select = (id) => setCount(id);'), 'should accept an expression body');
+});
+
+test('compiles expression handlers like block handlers', () => {
+  const code = compile(`
+:step::number
+@count = 0
+!inc = count++
+!add = count += step
+!bump = step++
+<p @click=inc @dblclick=add @mouseenter=bump>{count}</p>
+`);
+
+  assert.ok(code.includes('const inc = () => setCount((count) => count + 1);'), 'should update from the latest count');
+  assert.ok(code.includes('const add = () => setCount((count) => count + step);'), 'should treat compound assignments the same');
+  assert.ok(code.includes('const bump = () => step++;'), 'should not call a setter for a prop');
+  assert.ok(!code.includes('setStep'), 'props have no setter');
+});
+
+test('compiles array mutations on state into immutable updates', () => {
+  const code = compile(`
+@todos = []
+@input = ""
+!edit(i) = {
+  todos[i].done = !todos[i].done
+  todos[i].tags.push(input)
+  todos.splice(i, 1)
+  todos.sort((a, b) => a.rank - b.rank)
+  todos.filter(todo => !todo.done)
+  delete todos[i]
+  const last = todos.pop()
+}
+!drop = todos.shift()
+<p @click=edit @dblclick=drop>{todos.length} {input}</p>
+`);
+
+  assert.ok(code.includes('setTodos((todos) => todos.map((item, index) => index === i ? { ...item, done: !todos[i].done } : item));'));
+  assert.ok(code.includes('setTodos((todos) => todos.map((item, index) => index === i ? { ...item, tags: [...item.tags, input] } : item));'));
+  assert.ok(code.includes('setTodos((todos) => [...todos.slice(0, i), ...todos.slice(i).slice(1)]);'));
+  assert.ok(code.includes('setTodos((todos) => [...todos].sort((a, b) => a.rank - b.rank));'));
+  assert.ok(code.includes('setTodos((todos) => todos.filter((todo) => !todo.done));'));
+  assert.ok(code.includes('setTodos((todos) => todos.filter((_, index) => index !== i));'));
+  assert.ok(code.includes('const last = todos.pop();'), 'should leave calls whose result is used');
+  assert.ok(code.includes('const drop = () => setTodos((todos) => todos.slice(1));'));
+});
+
+test('removes from the end when splice starts at a negative index', () => {
+  const code = compile(`
+@todos = []
+!dropLast = todos.splice(-1, 1)
+!replace = todos.splice(-2, 1, "x", "y")
+<p @click=dropLast @dblclick=replace>{todos.length}</p>
+`);
+
+  const updater = (name) => {
+    const match = code.match(new RegExp(`const ${name} = \\(\\) => setTodos\\((.*)\\);`));
+    return new Function(`return ${match[1]}`)();
+  };
+  assert.deepStrictEqual(updater('dropLast')(['a', 'b', 'c']), ['a', 'b']);
+  assert.deepStrictEqual(updater('replace')(['a', 'b', 'c']), ['a', 'x', 'y', 'c']);
+});
+
+test('compiles object, Map and Set mutations on state into immutable updates', () => {
+  const code = compile(`
+@user = { name: "", address: { city: "" } }
+@tags = new Set()
+@scores::Map<string, number> = new Map()
+!update(name, index) = {
+  user.address.city = name
+  delete user.name
+  tags.add(name)
+  tags.delete(name)
+  scores.set(name, index)
+  scores.clear()
+}
+<p @click=update>{user.name} {tags.size} {scores.size}</p>
+`);
+
+  assert.ok(code.includes('setUser((user) => ({ ...user, address: { ...user.address, city: name } }));'));
+  assert.ok(code.includes('setUser(({ name: _, ...user }) => user);'));
+  assert.ok(code.includes('setTags((tags) => new Set(tags).add(name));'));
+  assert.ok(code.includes('setTags((tags) => new Set([...tags].filter((value) => value !== name)));'));
+  assert.ok(code.includes('setScores((scores) => new Map(scores).set(name, index));'));
+  assert.ok(code.includes('setScores(new Map());'));
+});
+
+test('compiles mutations of nested Maps and Sets into immutable updates', () => {
+  const code = compile(`
+@user = { tags: new Set() }
+@settings = { map: new Map() }
+@groups = [{ members: new Set() }]
+@profile = null
+!update(key, i) = {
+  user.tags.add(key)
+  settings.map.set(key, 1)
+  settings.map.delete(key)
+  groups[i].members.clear()
+  profile.roles.add(key)
+}
+<p @click=update>{user.tags.size}</p>
+`);
+
+  assert.ok(code.includes('setUser((user) => ({ ...user, tags: new Set(user.tags).add(key) }));'));
+  assert.ok(code.includes('setSettings((settings) => ({ ...settings, map: new Map(settings.map).set(key, 1) }));'));
+  assert.ok(code.includes('map: new Map([...settings.map].filter(([key2]) => key2 !== key)) }));'));
+  assert.ok(code.includes('index === i ? { ...item, members: new Set() } : item));'), 'should look inside list items');
+  assert.ok(code.includes('setProfile((profile) => ({ ...profile, roles: new Set(profile.roles).add(key) }));'), 'add implies a Set');
+  assert.throws(() => compile('@profile = null\n!drop(key) = profile.roles.delete(key)\n<p @click=drop />'), error =>
+    error.code === ERROR_CODES.UNKNOWN_COLLECTION && error.line === 2 &&
+    error.message.includes("Cannot tell whether 'profile.roles' is a Map or a Set"));
+});
+
+test('compiles inline event handlers like ! handlers', () => {
+  const source = `
+:actions
+@todos = []
+@count = 0
+<ul>
+  <each todo in todos key={todo.id}>
+    <li @click={() => remove(todo.id)} @dblclick=count++ @focus={count = 0; todo.seen = true} @blur=actions.save>{todo.title}</li>
+  </each>
+</ul>
+`;
+  const ast = parse(tokenize(source));
+  const code = compile(source);
+
+  assert.ok(code.includes('onClick={() => remove(todo.id)}'), 'should keep arrow handlers');
+  assert.ok(code.includes('onDblclick={() => setCount((count) => count + 1)}'), 'should rewrite unbraced updates');
+  assert.ok(code.includes(`onFocus={() => {
+          setCount(0);
+          todo.seen = true;
+        }}`), 'should run several statements, indented with the tag');
+  assert.ok(code.includes('onBlur={actions.save}'), 'should pass member functions through');
+  assert.deepStrictEqual(analyze(ast).errors.map(error => error.message), ["'remove' is not defined"]);
+});
+
+test('compiles inline handlers on JSX inside expressions', () => {
+  const code = compile(`
+@count = 0
+@show = true
+<div>{show ? <btn @click={count++}>+</btn> : null}{show && <p @click={show = false}>Hide</p>}</div>
+`);
+
+  assert.ok(code.includes('{show ? <button onClick={() => setCount((count) => count + 1)}>+</button> : null}'), 'should rewrite inside a ternary');
+  assert.ok(code.includes('{show && <p onClick={() => setShow(false)}>Hide</p>}'), 'should rewrite inside &&');
+});
+
+test('accepts object literals and template strings as attribute values', () => {
+  const code = compile(`
+@active = false
+<div style={{ color: active ? "red" : "blue", padding: 4 }} className={\`tab \${active ? "on" : ""}\`} title=\`tab\` />
+`);
+
+  assert.ok(code.includes('style={{ color: active ? "red" : "blue", padding: 4 }}'));
+  assert.ok(code.includes('className={`tab ${active ? "on" : ""}`}'));
+  assert.ok(code.includes('title={`tab`}'));
+});
+
+test('keeps the exact text of multi-line template literals', () => {
+  const code = compile(`
+@n = 1
+%msg = \`line1
+line2 \${n}\`
+!go = { const note = \`a
+  b\`; alert(note) }
+<p onClick={go}>{msg}</p>
+`);
+
+  assert.ok(code.includes('`line1\nline2 ${n}`'), 'derived value should not be re-indented');
+  assert.ok(code.includes('`a\n  b`'), 'literal inside a block should not be re-indented');
+});
+
+// Props
+test('forwards rest props typed by the element they are spread onto', () => {
+  const source = `
+:label::string
+:...rest
+:children
+<label>{label}<input {...rest} />{children}</label>
+`;
+  const code = compile(source);
+
+  assert.ok(code.includes(`interface ComponentProps extends Omit<React.ComponentPropsWithoutRef<'input'>, 'label' | 'children'> {
+  label: string;
+  children?: React.ReactNode;
+}`));
+  assert.ok(code.includes('function Component({ label, children, ...rest }: ComponentProps)'), 'should destructure rest last');
+  assert.ok(code.includes('<input {...rest} />'));
+  assert.deepStrictEqual(analyze(parse(tokenize(source))).warnings, []);
+});
+
+test('types rest props from components and explicit annotations', () => {
+  const component = compile('import Card from "./Card"\n:...props\n<Card {...props} {...{ title: "x" }} />');
+  const annotated = compile(':...rest::React.HTMLAttributes<HTMLDivElement>\n<div {...rest} />');
+
+  assert.ok(component.includes('interface ComponentProps extends React.ComponentPropsWithoutRef<typeof Card> {}'));
+  assert.ok(component.includes('<Card {...props} {...{ title: "x" }} />'));
+  assert.ok(annotated.includes('interface ComponentProps extends React.HTMLAttributes<HTMLDivElement> {}'));
+});
+
+test('generates optional props with destructuring defaults', () => {
+  const source = `
+:label::string
+:size?::number = 16
+:variant::"primary"|"ghost" = "primary"
+:onClose?::Function
+<btn className={variant} style={{ fontSize: size }} @click=onClose>{label}</btn>
+`;
+  const code = compile(source);
+  const js = generateTypeScript(parse(tokenize(source)), 'test.dsl', { typescript: false }).code;
+
+  assert.ok(code.includes(`  label: string;
+  size?: number;
+  variant?: "primary" | "ghost";
+  onClose?: Function;`));
+  assert.ok(code.includes('function Component({ label, size = 16, variant = "primary", onClose }: ComponentProps)'));
+  assert.ok(js.includes('function Component({ label, size = 16, variant = "primary", onClose })'));
+  assert.ok(!js.includes('propTypes'), 'should leave propTypes out unless asked');
+});
+
+test('emits propTypes for JavaScript output on request', () => {
+  const source = `
+:label::string
+:size?::number = 16
+:variant::"primary"|"ghost" = "primary"
+:tags::string[]
+:user::User|null
+:children
+<p className={variant} style={{ fontSize: size }}>{label}{tags}{user}{children}</p>
+`;
+  const ast = parse(tokenize(source));
+  const js = generateTypeScript(ast, 'test.dsl', { typescript: false, propTypes: true }).code;
+  const ts = generateTypeScript(ast, 'test.dsl', { typescript: true, propTypes: true }).code;
+
+  assert.ok(js.includes("import PropTypes from 'prop-types';"));
+  assert.ok(js.includes(`Component.propTypes = {
+  label: PropTypes.string.isRequired,
+  size: PropTypes.number,
+  variant: PropTypes.oneOf(["primary", "ghost"]),
+  tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  user: PropTypes.any,
+  children: PropTypes.node,
+};
+
+export default Component;`));
+  assert.ok(!ts.includes('PropTypes'), 'should rely on the interface in TypeScript');
+});
+
+// Component blocks
+test('compiles component blocks with named and default exports', () => {
+  const code = compile(`
+export default component List {
+  :items::string[]
+  <ul>
+    <each item in items>
+      <ListItem label={item} />
+    </each>
+  </ul>
+}
+
+component ListItem {
+  :label::string
+  @hover = false
+  <li>{label}</li>
+}
+
+export component Empty {
+  <p>Nothing here</p>
+}
+`);
+
+  assert.ok(code.startsWith("import React, { useState } from 'react';"), 'imports cover every block');
+  assert.ok(code.includes('interface ListProps {\n  items: string[];\n}'));
+  assert.ok(code.includes('function List({ items }: ListProps) {'));
+  assert.ok(code.includes('<ListItem key={index} label={item} />'));
+  assert.ok(code.includes('}\n\nexport default List;\n\ninterface ListItemProps {'));
+  assert.ok(code.includes('\nfunction ListItem({ label }: ListItemProps) {'), 'unexported blocks stay private');
+  assert.ok(code.endsWith('export function Empty() {\n  return (\n    <p>Nothing here</p>\n  );\n}'));
+});
+
+test('keeps the file component as the default export next to blocks', () => {
+  const code = compile(':title\n<Card title={title} />\n\ncomponent Card {\n  :title\n  <h2>{title}</h2>\n}');
+
+  assert.ok(code.includes('function Component({ title }: ComponentProps) {'));
+  assert.ok(code.includes('export default Component;\n\ninterface CardProps {'));
+  assert.ok(code.includes('function Card({ title }: CardProps) {'));
+});
+
+test('reports invalid component blocks', () => {
+  const { errors } = parse(tokenize(`
+<main />
+export default component Page {
+  <p />
+}
+component item {
+  <li />
+}
+component Outer {
+  component Inner {
+    <p />
+  }
+}
+`), { recover: true });
+
+  assert.deepStrictEqual(errors.map(error => [error.code, error.line]), [
+    [ERROR_CODES.INVALID_COMPONENT, 6],
+    [ERROR_CODES.INVALID_COMPONENT, 10],
+    [ERROR_CODES.INVALID_COMPONENT, 3]
+  ]);
+  assert.ok(errors[0].message.includes("'item' must start with a capital letter"));
+  assert.ok(errors[2].message.includes("'Page' conflicts with the file's top-level component"));
+});
+
+// Custom hooks
+test('compiles a file that returns a value to a hook', () => {
+  const code = compile(`
+/** Starting value */
+:initial::number = 0
+:step?::number
+@count::number = initial
+%double = count * 2
+!increment = count += step ?? 1
+
+return { count, double, increment }
+`);
+
+  assert.ok(code.startsWith("import { useState, useMemo } from 'react';"), 'hooks do not import React itself');
+  assert.ok(!code.includes('interface'), 'parameters are typed inline');
+  assert.ok(code.includes('/** @param initial Starting value */\nexport function useHook(initial: number = 0, step?: number) {'));
+  assert.ok(code.includes('  const increment = () => setCount((count) => count + (step ?? 1));\n\n  return { count, double, increment };\n}'));
+  assert.ok(code.endsWith('export type UseHookResult = ReturnType<typeof useHook>;'));
+});
+
+test('names hooks after the file and allows hooks without a return', () => {
+  const ast = parse(tokenize('&theme\n${ document.body.className = theme }'));
+  const ts = generateTypeScript(ast, null, { hookName: 'useThemeClass' }).code;
+  const js = generate(parse(tokenize(':...args\nreturn args.length')), { componentName: 'Count' });
+
+  assert.ok(ts.includes('export function useThemeClass() {\n  const theme = useContext(ThemeContext);'));
+  assert.ok(ts.endsWith('  }, [theme]);\n}'), 'no return and no result type');
+  assert.ok(js.includes('export function useCount(...args) {\n  return args.length;\n}'));
+  assert.ok(!js.includes('export type'));
+});
+
+test('reports JSX and imperative handles in hooks', () => {
+  const { errors } = parse(tokenize('~focus = () => null\nreturn 1\n<p />'), { recover: true });
+
+  assert.deepStrictEqual(errors.map(error => [error.code, error.line]), [[ERROR_CODES.INVALID_HOOK, 2]]);
+});
+
+// Hook calls
+test('generates + declarations as calls to other hooks', () => {
+  const source = `
+import { useQuery } from "@tanstack/react-query"
+:id::string
+#input::HTMLInputElement
++{data: user, isLoading} = useQuery<User>(["user", id], () => fetchUser(id))
++useAutoFocus(input)
+<p>{isLoading ? "..." : user.name}</p>`;
+  const ts = compile(source);
+  const js = generate(parse(tokenize(source)));
+
+  assert.ok(ts.includes('const input = useRef<HTMLInputElement>(null);\n\n  const { data: user, isLoading } = useQuery<User>(["user", id], () => fetchUser(id));\n  useAutoFocus(input);'));
+  assert.ok(js.includes('const { data: user, isLoading } = useQuery(["user", id], () => fetchUser(id));'), 'type arguments are dropped from JavaScript');
+});
+
+test('scopes hook results and requires hook names', () => {
+  const { errors, warnings } = analyze(parse(tokenize('import { useQuery } from "./query"\n+{data, error} = useQuery("todos")\n<p>{data}</p>')));
+  const parsed = parse(tokenize('+user = fetchUser(1)'), { recover: true });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings.map(warning => [warning.message, warning.line, warning.column]), [["'error' is declared but never used", 2, 9]]);
+  assert.strictEqual(parsed.errors[0].code, ERROR_CODES.INVALID_HOOK);
+  assert.ok(parsed.errors[0].message.startsWith("'fetchUser' is not a hook"));
+});
+
+// Conditional rendering parsing
+test('parses <if>/<elif>/<else> into a single conditional block', () => {
+  const ast = parse(tokenize(`
+<div>
+  <if cond={loading}><Spinner /></if>
+  <elif cond={error}><p>{error}</p></elif>
+  <else><p>Done</p></else>
+</div>
+`));
+
+  const block = ast.jsx.children[0];
+  assert.strictEqual(ast.jsx.children.length, 1);
+  assert.strictEqual(block.type, 'IfBlock');
+  assert.strictEqual(block.branches.length, 2);
+  assert.strictEqual(block.branches[0].test.name, 'loading');
+  assert.strictEqual(block.branches[1].test.name, 'error');
+  assert.strictEqual(block.alternate.length, 1);
+});
+
+test('rejects <else> without a preceding <if>', () => {
+  assert.throws(() => parse(tokenize('<div><else>x</else></div>')), /without a preceding <if>/);
+});
+
+// Code generation for conditional rendering
+test('generates a ternary with a null alternate for a lone <if>', () => {
+  const code = compile(`
+@loading = true
+@items = []
+<div>
+  <if cond={loading}><Spinner /></if>
+  <if cond={items.length}><p>Items</p></if>
+</div>
+`);
+
+  assert.ok(code.includes('{loading ? (\n        <Spinner />\n      ) : null}'), 'should emit the element or null');
+  assert.ok(code.includes('{items.length ? ('), 'should not render a numeric condition');
+  assert.ok(!code.includes('&&'));
+});
+
+test('generates chained ternaries for <elif> and <else>', () => {
+  const code = compile(`
+<div>
+  <if cond={loading}><Spinner /></if>
+  <elif cond={error}><p>Oops</p><btn>Retry</btn></elif>
+  <else><p>Done</p></else>
+</div>
+`);
+
+  assert.ok(code.includes('{loading ? ('), 'should start the ternary');
+  assert.ok(code.includes(') : error ? ('), 'should chain the elif branch');
+  assert.ok(code.includes('<>'), 'should wrap multiple children in a fragment');
+  assert.ok(code.includes(') : (\n        <p>Done</p>\n      )}'), 'should emit the else branch');
+});
+
+test('generates null alternate for <if>/<elif> without <else>', () => {
+  const code = compile(`
+<div>
+  <if cond={a}><p>A</p></if>
+  <elif cond={b}><p>B</p></elif>
+</div>
+`);
+
+  assert.ok(code.includes(') : null}'), 'should fall back to null');
+});
+
+// Import parsing
+test('parses default, named, namespace and type-only imports', () => {
+  const ast = parse(tokenize(`
+import Card from "./Card"
+import { fetchUser, type User as U } from "./api"
+import type { Theme } from "./types"
+import * as utils from "./utils"
+import "./styles.css"
+`));
+
+  assert.strictEqual(ast.imports.length, 5);
+  assert.strictEqual(ast.imports[0].defaultName, 'Card');
+  assert.strictEqual(ast.imports[0].source, './Card');
+  assert.deepStrictEqual(ast.imports[1].named, [
+    { imported: 'fetchUser', local: 'fetchUser', typeOnly: false },
+    { imported: 'User', local: 'U', typeOnly: true }
+  ]);
+  assert.strictEqual(ast.imports[2].typeOnly, true);
+  assert.strictEqual(ast.imports[3].namespace, 'utils');
+  assert.strictEqual(ast.imports[4].named.length, 0);
+});
+
+// Code generation for imports
+test('emits imports after the React import in TypeScript output', () => {
+  const code = compile(`
+import Card from "./Card"
+import { fetchUser, type User } from "./api"
+<Card />
+`);
+
+  const lines = code.split('\n');
+  assert.ok(lines[0].startsWith('import React'), 'should keep React first');
+  assert.strictEqual(lines[1], "import Card from './Card';");
+  assert.strictEqual(lines[2], "import { fetchUser, type User } from './api';");
+});
+
+test('keeps side-effect imports in source order', () => {
+  const code = compile(`
+import "./reset.css"
+import Card from "./Card"
+import "./theme.css"
+import { format } from "./format"
+<Card label={format(1)} />
+`);
+
+  assert.deepStrictEqual(code.split('\n').slice(0, 5), [
+    "import './reset.css';",
+    "import React from 'react';",
+    "import Card from './Card';",
+    "import './theme.css';",
+    "import { format } from './format';"
+  ]);
+});
+
+test('drops type-only imports from JavaScript output', () => {
+  const ast = parse(tokenize(`
+import type { Theme } from "./types"
+import { fetchUser, type User } from "./api"
+<div />
+`));
+  const code = generate(ast);
+
+  assert.ok(!code.includes('./types'), 'should drop type-only declaration');
+  assert.ok(code.includes("import { fetchUser } from './api';"), 'should drop type-only specifiers');
+});
+
+test('skips React names and explicitly imported contexts', () => {
+  const code = compile(`
+import { useState, memo } from "react"
+import { ThemeContext } from "./theme"
+@count = 0
+&theme
+<div>{theme}</div>
+`);
+
+  assert.ok(code.includes("import { memo } from 'react';"), 'should not import useState twice');
+  assert.ok(!code.includes("from './ThemeContext'"), 'should not generate a duplicate context import');
+});
+
+// JavaScript output
+test('JavaScript output names the component and destructures props', () => {
+  const code = generate(parse(tokenize(`
+:label::string
+:size
+<p>{label}</p>
+`)), { componentName: 'Badge' });
+
+  assert.ok(code.includes('function Badge({ label, size }) {'), 'should not stringify prop objects');
+  assert.ok(code.includes('export default Badge;'));
+  assert.ok(!code.includes('interface'), 'should not emit a Props interface');
+});
+
+test('JavaScript output covers every hook the TypeScript output does', () => {
+  const source = `
+@count::number = 0
+@todos:reducer = {[], {add: (state) => state}}
+&theme
+#input::HTMLInputElement
+^save = () => count
+*fieldId
+%double::number = count * 2
+<div>{double}</div>
+`;
+  const ast = parse(tokenize(source));
+  const tsCode = generateTypeScript(ast, null, { componentName: 'Form' }).code;
+  const jsCode = generate(ast, { componentName: 'Form' });
+
+  for (const hook of ['useReducer', 'useContext', 'useRef', 'useCallback', 'useId', 'useMemo']) {
+    assert.ok(jsCode.includes(`${hook}(`), `should emit ${hook}`);
+  }
+  const stripTypes = tsCode
+    .replace("type TodosAction = { type: 'add' };\n\n", '')
+    .replace('(state: any, action: TodosAction): any', '(state, action)')
+    .replace(/<number>|<HTMLInputElement>/g, '');
+  assert.strictEqual(jsCode, stripTypes, 'should only differ by type annotations');
+});
+
+test('JavaScript output drops types from each loops', () => {
+  const code = generate(parse(tokenize(`
+@items::string[] = []
+<ul><each item::string in items><li>{item}</li></each></ul>
+`)));
+
+  assert.ok(code.includes('items.map((item, index) =>'));
+});
+
+// Each loops
+test('keys each loops and keeps the loop variable in scope', () => {
+  const code = generate(parse(tokenize(`
+@todos = []
+<ul><each todo, i in todos key={todo.id}><li title={todo.title}>{i}: {todo.title}</li></each></ul>
+`)));
+
+  assert.ok(code.includes('todos.map((todo, i) => ('));
+  assert.ok(code.includes('<li key={todo.id} title={todo.title}>{i}: {todo.title}</li>'));
+});
+
+test('destructures items and iterates over expressions', () => {
+  const ast = parse(tokenize(`<ul><each {id, title} in todos.filter(t => t.done) key=id><li>{title}</li></each></ul>`));
+  const loop = ast.jsx.children[0];
+
+  assert.strictEqual(loop.item.type, 'ObjectPattern');
+  assert.strictEqual(loop.list.type, 'Call');
+  const code = generate(ast);
+  assert.ok(code.includes('todos.filter((t) => t.done).map(({ id, title }) => ('));
+  assert.ok(code.includes('<li key={id}>{title}</li>'));
+});
+
+test('wraps several loop children in a keyed fragment and nests loops', () => {
+  const code = generate(parse(tokenize(`
+<div>
+  <each group in groups>
+    <h2>{group.name}</h2>
+    <each item in group.items key={item.id}>
+      <p>{item.label}</p>
+    </each>
+  </each>
+</div>
+`)));
+
+  assert.ok(code.includes('groups.map((group, index) => ('));
+  assert.ok(code.includes('<React.Fragment key={index}>'));
+  assert.ok(code.includes('group.items.map((item) => ('));
+  assert.ok(code.includes('<p key={item.id}>{item.label}</p>'));
+});
+
+// JSX text
+test('keeps punctuation and entities in JSX text', () => {
+  const ast = parse(tokenize(`<h1>Hello, world! It's #1 &amp; done?</h1>`));
+
+  assert.strictEqual(ast.jsx.children[0].value, "Hello, world! It's #1 &amp; done?");
+  assert.ok(compile('<p>Wait... what?!</p>').includes('<p>Wait... what?!</p>'));
+});
+
+test('collapses JSX text line breaks like React', () => {
+  const ast = parse(tokenize(`
+<div>
+  <p>
+    Line one
+    line two.
+  </p>
+  Total: {count} items
+</div>
+`));
+
+  const [paragraph, total, , items] = ast.jsx.children;
+  assert.strictEqual(paragraph.children[0].value, 'Line one line two.');
+  assert.strictEqual(total.value, 'Total: ');
+  assert.strictEqual(items.value, ' items');
+  assert.strictEqual(ast.jsx.children.length, 4, 'whitespace-only lines are dropped');
+});
+
+test('keeps significant spaces when text is emitted on its own line', () => {
+  const code = compile(`
+<div>
+  Total: {count}
+  <span>a</span> <span>b</span>
+</div>
+`);
+
+  assert.ok(code.includes("      Total:{' '}\n      {count}"), 'trailing space before an expression');
+  assert.ok(code.includes("<span>a</span>\n      {' '}\n      <span>b</span>"), 'space between elements');
+});
+
+test('records JSX text locations', () => {
+  const ast = parse(tokenize('<div>\n  <b>Hi, you</b>\n</div>'));
+  const text = ast.jsx.children[0].children[0];
+
+  assert.deepStrictEqual(text.loc, { line: 2, column: 6, endLine: 2, endColumn: 13 });
+});
+
+test('only lexes < as a tag where an operand is expected', () => {
+  const types = tokenize('%small = count <limit').map(t => t.type);
+  assert.ok(!types.includes('JSX_TEXT'));
+
+  const ast = parse(tokenize(`
+@loading = true
+<div>{loading ? <span>Loading...</span> : <b>Done, ok</b>}</div>
+`));
+  const { consequent, alternate } = ast.jsx.children[0].expression;
+  assert.strictEqual(consequent.children[0].value, 'Loading...');
+  assert.strictEqual(alternate.children[0].value, 'Done, ok');
+});
+
+// Token locations
+test('records start and end positions on tokens', () => {
+  const tokens = tokenize('@count = "ab"\n<p>{count}</p>');
+
+  const string = tokens.find(t => t.type === 'STRING');
+  assert.deepStrictEqual(
+    [string.line, string.column, string.endLine, string.endColumn],
+    [1, 10, 1, 14]
+  );
+  const count = tokens.filter(t => t.value === 'count')[1];
+  assert.deepStrictEqual([count.line, count.column, count.endColumn], [2, 5, 10]);
+});
+
+// Semantic analysis
+import { analyze } from './analyzer.js';
+
+test('reports undefined references with a suggestion', () => {
+  const { errors } = analyze(parse(tokenize('@count = 0\n!inc = count++\n<p @click=inc>{cout}</p>')));
+
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].code, ERROR_CODES.UNDEFINED_REFERENCE);
+  assert.deepStrictEqual([errors[0].line, errors[0].column], [3, 16]);
+  assert.ok(errors[0].message.includes("Did you mean 'count'?"));
+});
+
+test('resolves loop variables, arrow parameters, imports and globals', () => {
+  const { errors, warnings } = analyze(parse(tokenize(`
+import { format } from "./format"
+@todos = []
+%total = todos.reduce((sum, todo) => sum + todo.size, 0)
+<ul>
+  <each todo, i in todos key={todo.id}>
+    <li>{format(todo)} {i} {Math.max(total, 1)}</li>
+  </each>
+</ul>
+`)));
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('knows common globals and accepts more through the globals option', () => {
+  const ast = parse(tokenize(`
+@data = null
+$ {
+  const socket = new WebSocket(url)
+  socket.onmessage = (event) => setData(new TextDecoder().decode(atob(event.data)))
+  gtag("event", "open")
+} cleanup { socket.close() }
+<p>{data}</p>
+`));
+
+  assert.deepStrictEqual(analyze(ast).errors.map(error => error.message), ["'url' is not defined", "'gtag' is not defined"]);
+  assert.deepStrictEqual(analyze(ast, { globals: ['url', 'gtag'] }).errors, []);
+});
+
+test('reports duplicate declarations and setter collisions', () => {
+  const { errors } = analyze(parse(tokenize(':count\n@count = 0\n!setCount = count++\n<p @click=setCount>{count}</p>')));
+
+  assert.deepStrictEqual(
+    errors.map(error => [error.code, error.line]),
+    [[ERROR_CODES.DUPLICATE_DECLARATION, 2], [ERROR_CODES.SETTER_COLLISION, 3]]
+  );
+  assert.ok(errors[1].message.includes("setter generated for state 'count'"));
+});
+
+test('warns about unused declarations', () => {
+  const { errors, warnings } = analyze(parse(tokenize(':label\n@count = 0\n!inc = count++\n<p>{count}</p>')));
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(
+    warnings.map(warning => [warning.code, warning.severity, warning.message]),
+    [
+      [ERROR_CODES.UNUSED_DECLARATION, 'warning', "'label' is declared but never used"],
+      [ERROR_CODES.UNUSED_DECLARATION, 'warning', "'inc' is declared but never used"]
+    ]
+  );
+});
+
+test('scopes declarations to their component block', () => {
+  const { errors, warnings } = analyze(parse(tokenize(`
+import { format } from "./format"
+
+export component List {
+  :items
+  <ul>{items.map(item => <Item label={format(item)} />)}</ul>
+}
+
+component Item {
+  :label
+  <li>{label} {items}</li>
+}
+
+component Unused {
+  <p />
+}
+`)));
+
+  assert.deepStrictEqual(errors.map(error => [error.code, error.line]), [[ERROR_CODES.UNDEFINED_REFERENCE, 11]]);
+  assert.ok(errors[0].message.startsWith("'items' is not defined"), 'props do not leak between blocks');
+  assert.deepStrictEqual(warnings.map(warning => warning.message), ["'Unused' is declared but never used"]);
+});
+
+test('warns when a file of component blocks exports none of them', () => {
+  const { warnings } = analyze(parse(tokenize(`
+component List {
+  <ul><Item /></ul>
+}
+
+component Item {
+  <li />
+}
+`)));
+
+  const noExports = warnings.filter(warning => warning.code === ERROR_CODES.NO_EXPORTS);
+  assert.strictEqual(noExports.length, 1);
+  assert.strictEqual(noExports[0].line, 2);
+
+  const exported = analyze(parse(tokenize('component Item {\n  <li />\n}\n<ul><Item /></ul>')));
+  assert.ok(!exported.warnings.some(warning => warning.code === ERROR_CODES.NO_EXPORTS), "the file's own component is the default export");
+});
+
+// Declaration order
+test('emits hooks and handlers in source order', () => {
+  const code = compile(`
+&theme
+^describe = () => \`\${theme} \${count}\`
+@count = 0
+!reset = setCount(0)
+@filtered:deferred = count
+<p @click=reset>{describe()} {filtered}</p>`);
+
+  assert.ok(code.includes(`  const theme = useContext(ThemeContext);
+
+  const describe = useCallback(() => \`\${theme} \${count}\`, [theme, count]);
+
+  const [count, setCount] = useState(0);
+
+  const reset = () => setCount(0);
+
+  const filtered = useDeferredValue(count);`));
+});
+
+test('reports names read before the line that declares them', () => {
+  const { errors } = analyze(parse(tokenize(`
+:label = title
+%upper = query.toUpperCase()
+@query = label
+^log = () => console.log(count, setCount)
+@count = 0
+!reset = setCount(later)
+$\{ ref.current = later }
+#ref
+%later = 1 [deps]
+:title
+<p @click=reset>{upper}{log}</p>`)));
+
+  assert.deepStrictEqual(errors.map(error => [error.code, error.line, error.column]), [
+    [ERROR_CODES.USE_BEFORE_DECLARATION, 2, 10],
+    [ERROR_CODES.USE_BEFORE_DECLARATION, 3, 10],
+    [ERROR_CODES.USE_BEFORE_DECLARATION, 5, 26],
+    [ERROR_CODES.USE_BEFORE_DECLARATION, 8, 18],
+  ]);
+  assert.strictEqual(errors[1].message, "'query' is used before it is declared at 4:2");
+});
+
+// Dependency arrays
+test('lists only component-scoped reactive values in dependency arrays', () => {
+  const code = compile(`
+import { format } from "./format"
+:rate::number
+@items = []
+#lastTotal
+&theme
+%total = Math.round(items.reduce((sum, item) => sum + item.price * rate, 0))
+%label = format(total, theme.locale)
+^save = () => { setItems([]); lastTotal.current = total }
+<p @click=save>{label}</p>
+`);
+
+  assert.ok(code.includes('0)), [items, rate]);'), 'should leave out Math and arrow parameters');
+  assert.ok(code.includes('theme.locale), [total, theme]);'), 'should leave out imports');
+  assert.ok(code.includes('  }, [total]);'), 'should leave out setters and refs');
+});
+
+test('infers effect dependencies from what the effect reads', () => {
+  const code = compile(`
+import { fetchUser } from "./api"
+:userId::number
+@count = 0
+^track = (event) => console.log(event, count)
+$log(count * 2, userId)
+$fetchUser(userId)
+$track("view")
+<p>{count}</p>
+`);
+
+  assert.ok(code.includes('console.log(count * 2, userId);\n  }, [count, userId]);'), 'should read names inside expressions');
+  assert.ok(code.includes('fetchUser(userId);\n  }, [userId]);'), 'should leave out imported functions');
+  assert.ok(code.includes('track("view");\n  }, [track]);'), 'should include called callbacks');
+});
+
+test('lists event handlers in dependency arrays', () => {
+  const code = compile(`
+@text = ""
+!save = { localStorage.setItem("text", text) }
+^onKey = (e) => { save() }
+$ { save() }
+<input @keydown=onKey />
+`);
+
+  assert.ok(code.includes('save();\n  }, [save]);\n\n  useEffect('), 'callback should depend on the handler');
+  assert.ok(code.includes('useEffect(() => {\n    save();\n  }, [save]);'), 'effect should depend on the handler');
+});
+
+test('overrides inferred dependencies with [deps ...]', () => {
+  const source = `
+@items = []
+@query = ""
+%filtered = items.filter(item => item.name.includes(query)) [deps items]
+%first = items[0] [deps]
+^reset = () => setQuery("") [deps query.length]
+$log(filtered) [deps]
+<p @click=reset>{filtered.length} {first}</p>
+`;
+  const ast = parse(tokenize(source));
+  const code = compile(source);
+
+  assert.strictEqual(ast.memos[1].value.type, 'IndexAccess', 'should still index without a space');
+  assert.ok(code.includes('item.name.includes(query)), [items]);'), 'should use the listed deps');
+  assert.ok(code.includes('items[0], []);'), 'should allow an empty list');
+  assert.ok(code.includes('setQuery(""), [query.length]);'), 'should allow property paths');
+  assert.ok(code.includes('console.log(filtered);\n  }, []);'), 'should override effect deps');
+  assert.deepStrictEqual(analyze(ast).errors, []);
+});
+
+test('generates block effects with cleanup and explicit deps', () => {
+  const code = compile(`
+@seconds = 0
+$ {
+  const id = setInterval(() => setSeconds(s => s + 1), 1000)
+} cleanup {
+  clearInterval(id)
+} []
+$$subscribe(seconds) cleanup { unsubscribe(seconds) } [deps]
+<p>{seconds}</p>
+`);
+
+  assert.ok(code.includes(`  useEffect(() => {
+    const id = setInterval(() => setSeconds((s) => s + 1), 1000);`), 'should run the block');
+  assert.ok(code.includes(`    return () => {
+      clearInterval(id);
+    };
+  }, []);`), 'should return the cleanup and run once');
+  assert.ok(code.includes(`    subscribe(seconds);
+    return () => {
+      unsubscribe(seconds);
+    };
+  }, []);`), 'should attach cleanup to call effects');
+});
+
+test('generates async effects with an abort guard', () => {
+  const source = `
+:userId::number
+@user = null
+$ async {
+  const res = await fetch(\`/api/users/\${userId}\`, { signal })
+  setUser(await res.json())
+} cleanup {
+  console.log("done")
+}
+<p>{user}</p>
+`;
+  const code = compile(source);
+
+  assert.ok(code.includes(`    const controller = new AbortController();
+    const { signal } = controller;
+    (async () => {
+      const res = await fetch(\`/api/users/\${userId}\`, { signal });
+      if (signal.aborted) return;
+      const nextUser = await res.json();
+      if (signal.aborted) return;
+      setUser(nextUser);
+    })().catch(error => {
+      if (!signal.aborted) console.error(error);
+    });
+    return () => {
+      controller.abort();
+      console.log("done");
+    };
+  }, [userId]);`));
+  assert.deepStrictEqual(analyze(parse(tokenize(source))).errors, [], 'should bind signal in the body');
+});
+
+test('compiles state writes in effects to setter calls', () => {
+  const source = `
+:url::string
+@data = null
+@count = 0
+$ async {
+  const r = await fetch(url)
+  data = await r.json()
+}
+$ { count++ } cleanup { count = 0 }
+<p>{data} {count}</p>
+`;
+  const code = compile(source);
+
+  assert.ok(code.includes('      setData(nextData);'), 'should not reassign state');
+  assert.ok(code.includes(`    setCount((count) => count + 1);
+    return () => {
+      setCount(0);
+    };`), 'should rewrite the body and the cleanup');
+  assert.deepStrictEqual(analyze(parse(tokenize(source))).errors, []);
+});
+
+test('leaves state an effect only writes out of its dependencies', () => {
+  const code = compile(`
+:url::string
+@data = null
+@count = 0
+$ async { data = await (await fetch(url)).json() }
+$ { count++ }
+<p>{data} {count}</p>
+`);
+
+  assert.ok(code.includes('  }, [url]);'), 'should not re-run when it writes');
+  assert.ok(code.includes('    setCount((count) => count + 1);\n  }, []);'), 'should not depend on a functional update');
+});
+
+test('checks for an abort between an await and the state write it feeds', () => {
+  const code = compile(`
+import { api } from "./api"
+:userId::number
+@data = null
+$ async { data = await api.get(userId) }
+<p>{data}</p>
+`);
+
+  assert.ok(code.includes(`    (async () => {
+      const nextData = await api.get(userId);
+      if (signal.aborted) return;
+      setData(nextData);
+    })().catch(error => {
+      if (!signal.aborted) console.error(error);
+    });`));
+});
+
+test('reports undefined names in [deps ...]', () => {
+  const { errors } = analyze(parse(tokenize('@items = []\n%count = items.length [deps itms]\n<p>{count}</p>')));
+
+  assert.strictEqual(errors.length, 1);
+  assert.ok(errors[0].message.includes("'itms' is not defined. Did you mean 'items'?"));
+  assert.deepStrictEqual([errors[0].line, errors[0].column], [2, 29]);
+});
+
+// Source maps
+import { SourceMapConsumer } from 'source-map';
+import { transform as esbuildTransform } from 'esbuild';
+import { chainSourceMaps } from './source-maps.js';
+
+const mappedSource = `:label
+@count = 0
+!inc = count++
+<div>
+  <btn @click=inc title="Add">{label}: {count}</btn>
+</div>`;
+const mapped = generateTypeScript(parse(tokenize(mappedSource)), 'Counter.jsx.dsl', { sourceContent: mappedSource });
+const mappedConsumer = await new SourceMapConsumer(mapped.map);
+
+// Original 1-based position of the first generated occurrence of `text`
+const originalOf = (consumer, code, text) => {
+  const before = code.slice(0, code.indexOf(text)).split('\n');
+  const { line, column } = consumer.originalPositionFor({ line: before.length, column: before.at(-1).length });
+  return [line, column + 1];
+};
+
+test('maps declarations and handlers to their DSL tokens', () => {
+  assert.deepStrictEqual(originalOf(mappedConsumer, mapped.code, 'const [count'), [2, 2]);
+  assert.deepStrictEqual(originalOf(mappedConsumer, mapped.code, 'const inc'), [3, 2]);
+  assert.deepStrictEqual(originalOf(mappedConsumer, mapped.code, 'label }'), [1, 2]);
+  assert.strictEqual(mappedConsumer.sourceContentFor('Counter.jsx.dsl'), mappedSource);
+});
+
+test('maps JSX elements, attributes and expressions to their DSL tokens', () => {
+  assert.deepStrictEqual(originalOf(mappedConsumer, mapped.code, '<div>'), [4, 1]);
+  assert.deepStrictEqual(originalOf(mappedConsumer, mapped.code, '<button'), [5, 3]);
+  assert.deepStrictEqual(originalOf(mappedConsumer, mapped.code, 'title='), [5, 19]);
+  assert.deepStrictEqual(originalOf(mappedConsumer, mapped.code, '{count}'), [5, 40]);
+  assert.ok(!/[]/.test(mapped.code), 'should strip position markers');
+});
+
+mappedConsumer.destroy();
+
+const bundled = await esbuildTransform(mapped.code, { loader: 'tsx', jsx: 'automatic', sourcemap: 'external', sourcefile: 'Counter.jsx.dsl' });
+const chainedConsumer = await new SourceMapConsumer(await chainSourceMaps(bundled.map, mapped.map));
+
+test('chains esbuild output back to the DSL source', () => {
+  assert.deepStrictEqual(chainedConsumer.sources, ['Counter.jsx.dsl']);
+  assert.deepStrictEqual(originalOf(chainedConsumer, bundled.code, 'setCount(').slice(0, 1), [3]);
+  assert.deepStrictEqual(originalOf(chainedConsumer, bundled.code, '"button"').slice(0, 1), [5]);
+});
+
+chainedConsumer.destroy();
+
+// Language server
+import { PassThrough } from 'node:stream';
+import { analyzeDocument, getDiagnostics, getHover, getDefinition, getCompletions, getDocumentSymbols } from './language-service.js';
+import { startServer, readMessages, writeMessage } from './lsp.js';
+
+const lspSource = `/** Text on the button */
+:label::string
+@count = 0
+%double = count * 2
+!inc = count++
+<btn @click=inc>{label}: {double}</btn>`;
+const lspAnalysis = analyzeDocument(lspSource);
+const stateHover = await getHover(lspAnalysis, { line: 3, character: 11 });
+const propHover = await getHover(lspAnalysis, { line: 5, character: 18 });
+
+test('hovers show the hook a declaration compiles to', () => {
+  assert.ok(stateHover.contents.value.startsWith('(state) count'));
+  assert.ok(stateHover.contents.value.includes('const [count, setCount] = useState(0);'));
+  assert.ok(propHover.contents.value.includes('Text on the button'));
+  assert.ok(propHover.contents.value.includes('label: string;'));
+});
+
+test('goes to the declaration of a name used in JSX', () => {
+  const definition = getDefinition(lspAnalysis, { line: 5, character: 13 }, 'file:///Counter.jsx.dsl');
+  assert.deepStrictEqual(definition.range, { start: { line: 4, character: 1 }, end: { line: 4, character: 4 } });
+  assert.strictEqual(getDefinition(lspAnalysis, { line: 5, character: 2 }, 'file:///Counter.jsx.dsl'), null);
+});
+
+test('completes sigils at line start and declared names elsewhere', () => {
+  const sigils = getCompletions(lspAnalysis, { line: 6, character: 0 }, lspSource + '\n');
+  assert.ok(sigils.some(item => item.label === '@'));
+  const names = getCompletions(lspAnalysis, { line: 5, character: 17 }, lspSource);
+  assert.deepStrictEqual(names.map(item => item.label), ['label', 'count', 'double', 'inc']);
+});
+
+test('lists declarations as document symbols and reports diagnostics', () => {
+  assert.deepStrictEqual(getDocumentSymbols(lspAnalysis).map(symbol => symbol.name), ['label', 'count', 'double', 'inc']);
+  const [diagnostic] = getDiagnostics(analyzeDocument('<div>\n  <span>hi</p>\n</div>'));
+  assert.strictEqual(diagnostic.code, ERROR_CODES.MISMATCHED_TAG);
+  assert.strictEqual(diagnostic.range.start.line, 1);
+});
+
+test('resolves names and completions within the enclosing component', () => {
+  const source = `component First {
+  @count = 0
+  !reset(count) = setCount(count)
+  <p @click=reset>{count}</p>
+}
+
+component Second {
+  @count = 1
+  @total = 2
+  <p>{count} {total}</p>
+}`;
+  const analysis = analyzeDocument(source);
+  const uri = 'file:///Blocks.jsx.dsl';
+  const lineOf = definition => definition?.range.start.line;
+
+  assert.strictEqual(lineOf(getDefinition(analysis, { line: 9, character: 7 }, uri)), 7, 'should go to the count of Second');
+  assert.strictEqual(lineOf(getDefinition(analysis, { line: 3, character: 20 }, uri)), 1, 'should go to the count of First');
+  assert.strictEqual(getDefinition(analysis, { line: 2, character: 28 }, uri), null, 'should skip the shadowing parameter');
+  assert.strictEqual(lineOf(getDefinition(analysis, { line: 2, character: 18 }, uri)), 1, 'should resolve the setter');
+
+  const labels = position => getCompletions(analysis, position, source).map(item => item.label);
+  assert.deepStrictEqual(labels({ line: 3, character: 19 }), ['First', 'Second', 'count', 'reset']);
+  assert.deepStrictEqual(labels({ line: 9, character: 6 }), ['First', 'Second', 'count', 'total']);
+});
+
+// Drive the server over in-memory streams as an editor would over stdio
+const serverInput = new PassThrough();
+const serverOutput = new PassThrough();
+const received = [];
+let exitCode = null;
+readMessages(serverOutput, message => received.push(message));
+startServer({ input: serverInput, output: serverOutput, onExit: code => { exitCode = code; } });
+
+const documentUri = 'file:///Counter.jsx.dsl';
+writeMessage(serverInput, { id: 1, method: 'initialize', params: {} });
+// A frame without a Content-Length and one that is not JSON
+serverInput.write('X-Header: 1\r\n\r\n');
+serverInput.write('Content-Length: 9\r\n\r\n{"id": 9,');
+serverInput.write('Content-Length: 4\r\n\r\nnull');
+writeMessage(serverInput, { method: 'textDocument/didOpen', params: { textDocument: { uri: documentUri, text: '<p>{missing</p>' } } });
+writeMessage(serverInput, { method: 'textDocument/didChange', params: { textDocument: { uri: documentUri }, contentChanges: [{ text: lspSource }] } });
+writeMessage(serverInput, { id: 2, method: 'textDocument/hover', params: { textDocument: { uri: documentUri }, position: { line: 3, character: 11 } } });
+// A request and a notification missing the params they need
+writeMessage(serverInput, { id: 4, method: 'textDocument/hover', params: { textDocument: { uri: documentUri } } });
+writeMessage(serverInput, { method: 'textDocument/didOpen', params: {} });
+writeMessage(serverInput, { id: 3, method: 'shutdown' });
+writeMessage(serverInput, { method: 'exit' });
+await new Promise(resolve => setTimeout(resolve, 50));
+
+test('serves diagnostics and requests over a stream', () => {
+  const response = id => received.find(message => message.id === id);
+  assert.strictEqual(response(1).result.capabilities.hoverProvider, true);
+
+  const published = received.filter(message => message.method === 'textDocument/publishDiagnostics');
+  assert.strictEqual(published.length, 2);
+  assert.ok(published[0].params.diagnostics.length > 0, 'should report the broken document');
+  assert.deepStrictEqual(published[1].params.diagnostics, []);
+
+  assert.ok(response(2).result.contents.value.includes('useState(0)'));
+  assert.strictEqual(response(3).result, null);
+  assert.strictEqual(exitCode, 0);
+});
+
+test('answers malformed frames with a parse error and keeps serving', () => {
+  const errors = received.filter(message => message.error && message.id === null);
+  assert.strictEqual(errors.length, 2, 'should drop the frame without a length');
+  assert.deepStrictEqual(errors.map(({ id, error }) => [id, error.code]), [[null, -32700], [null, -32600]]);
+  assert.ok(received.some(message => message.id === 2), 'should handle the requests that follow');
+});
+
+test('answers requests missing their params with an invalid params error', () => {
+  const response = received.find(message => message.id === 4);
+  assert.strictEqual(response.error.code, -32602);
+  assert.ok(response.error.message.includes('textDocument/hover'));
+  assert.strictEqual(received.filter(message => message.method === 'textDocument/publishDiagnostics').length, 2,
+    'should drop the notification without a document');
+});
+
+// Compile diagnostics
+test('reports tokenizer errors with code and location', () => {
+  assert.throws(() => tokenize('@name = "Ada\n<p />'), (error) => {
+    assert.ok(error instanceof JsxDslError);
+    assert.strictEqual(error.code, ERROR_CODES.UNTERMINATED_STRING);
+    assert.deepStrictEqual([error.line, error.column], [1, 9]);
+    return true;
+  });
+
+  assert.throws(() => tokenize('@count = 0\n  \\'), (error) => {
+    assert.strictEqual(error.code, ERROR_CODES.UNEXPECTED_CHARACTER);
+    assert.deepStrictEqual([error.line, error.column], [2, 3]);
+    return true;
+  });
+});
+
+test('reports parser errors at the offending token', () => {
+  assert.throws(() => parse(tokenize('<div>\n  <span>hi</p>\n</div>')), (error) => {
+    assert.ok(error instanceof JsxDslError);
+    assert.strictEqual(error.code, ERROR_CODES.MISMATCHED_TAG);
+    assert.deepStrictEqual(
+      [error.line, error.column, error.endLine, error.endColumn],
+      [2, 13, 2, 14]
+    );
+    return true;
+  });
+
+  assert.throws(() => parse(tokenize('!inc = 1 = count')), (error) => {
+    assert.strictEqual(error.code, ERROR_CODES.INVALID_ASSIGNMENT);
+    assert.strictEqual(error.column, 8);
+    return true;
+  });
+});
+
+test('formats errors with a code frame', () => {
+  const source = '@count = 0\n<div>\n  <span>{count}</b>\n</div>';
+  let error;
+  try {
+    parse(tokenize(source));
+  } catch (e) {
+    error = e;
+  }
+  error.file = 'Counter.jsx.dsl';
+
+  assert.strictEqual(error.format(source), [
+    'Counter.jsx.dsl:3:18 - MISMATCHED_TAG: Mismatched closing tag: expected span but got b',
+    '',
+    '  1 | @count = 0',
+    '  2 | <div>',
+    '> 3 |   <span>{count}</b>',
+    '    |                  ^',
+    '  4 | </div>'
+  ].join('\n'));
+});
+
+test('underlines the full span in code frames', () => {
+  const frame = formatCodeFrame('let value = oops', { line: 1, column: 13, endLine: 1, endColumn: 17 });
+  assert.strictEqual(frame, '> 1 | let value = oops\n    |             ^^^^');
+});
+
+// Error recovery
+test('collects every error and keeps parsing in recover mode', () => {
+  const { ast, errors } = parse(tokenize(`
+@count = 0
+@name = = "x"
+%double = count * 2
+<div class={a +} id="main">
+  <span>{count +}</span>
+  <p>{double}</p>
+</div>
+`), { recover: true });
+
+  assert.deepStrictEqual(errors.map(e => e.line), [3, 5, 6]);
+  assert.deepStrictEqual(ast.states.map(s => s.name), ['count']);
+  assert.strictEqual(ast.memos.length, 1, 'should resume at the next declaration');
+  assert.deepStrictEqual(ast.jsx.attributes.map(a => a.name), ['id']);
+  assert.deepStrictEqual(ast.jsx.children.map(c => c.tagName), ['span', 'p']);
+});
+
+test('recovers from unclosed and mismatched tags', () => {
+  const { ast, errors } = parse(tokenize(`
+<div>
+  <b>bold
+  <elif cond={x}>stray</elif>
+  <i>after</i>
+</div>
+`), { recover: true });
+
+  assert.deepStrictEqual(errors.map(e => e.code), [ERROR_CODES.INVALID_SPECIAL_TAG, ERROR_CODES.MISMATCHED_TAG]);
+  assert.strictEqual(ast.jsx.tagName, 'div');
+  const bold = ast.jsx.children[0];
+  assert.deepStrictEqual(bold.children.map(c => c.tagName ?? c.value), ['bold', 'i']);
+});
+
+test('warns about ignored tokens instead of dropping them silently', () => {
+  const { errors, warnings } = parse(tokenize('<p id="a", title="b">Hi</p>'), { recover: true });
+
+  assert.strictEqual(errors.length, 0);
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(warnings[0].severity, 'warning');
+  assert.strictEqual(warnings[0].code, ERROR_CODES.IGNORED_TOKEN);
+  assert.deepStrictEqual([warnings[0].line, warnings[0].column], [1, 10]);
+});
+
+test('still throws the first error by default', () => {
+  assert.throws(() => parse(tokenize('@a = =\n@b = =')), (error) => {
+    assert.strictEqual(error.line, 1);
+    return true;
+  });
+});
+
+// Comments
+test('attaches comments to the next token as trivia', () => {
+  const tokens = tokenize('@count = 0 // clicks\n/* total */ %double = count * 2');
+
+  const newline = tokens.find(t => t.type === 'NEWLINE');
+  assert.strictEqual(newline.leadingComments, undefined, 'newlines do not carry comments');
+  const memo = tokens.find(t => t.type === 'MEMO');
+  assert.deepStrictEqual(memo.leadingComments.map(c => [c.type, c.value]), [
+    ['LineComment', ' clicks'],
+    ['BlockComment', ' total ']
+  ]);
+  assert.ok(!tokens.some(t => t.type === 'SLASH'), 'should not tokenize comment text');
+});
+
+test('reports unterminated block comments', () => {
+  assert.throws(() => tokenize('@a = 1 /* oops'), (error) => {
+    assert.strictEqual(error.code, ERROR_CODES.UNTERMINATED_COMMENT);
+    assert.deepStrictEqual([error.line, error.column], [1, 8]);
+    return true;
+  });
+});
+
+test('keeps JSX comments in the output', () => {
+  const code = compile(`
+<div>
+  {/* header */}
+  <h1>Title</h1>
+</div>
+`);
+
+  assert.ok(code.includes('{/* header */}'), 'should emit the JSX comment');
+});
+
+test('carries prop JSDoc to the Props interface', () => {
+  const code = compile(`
+/** Text shown on the button */
+:label::string
+/**
+ * Starting value.
+ * @default 0
+ */
+:start::number
+// not documentation
+:step::number
+<btn>{label}</btn>
+`);
+
+  assert.ok(code.includes('  /** Text shown on the button */\n  label: string;'));
+  assert.ok(code.includes('  /**\n   * Starting value.\n   * @default 0\n   */\n  start: number;'));
+  assert.ok(code.includes('start: number;\n  step: number;'), 'line comments are not JSDoc');
+});
+
 // File extension detection tests
 import { getFileInfo } from './cli.js';
 
@@ -477,6 +2056,22 @@ test('derives default output path from .jsx.dsl file', () => {
   assert.strictEqual(info.defaultOutput, '/path/to/my-component.jsx');
 });
 
+test('derives the same component name everywhere a file is compiled', () => {
+  for (const [file, name] of [['my_list.item.tsx.dsl', 'MyListItem'], ['404-page.jsx.dsl', '_404Page']]) {
+    assert.strictEqual(getFileInfo(`/src/${file}`).componentName, name);
+    assert.strictEqual(getLoaderFileInfo(`/src/${file}`).componentName, name);
+  }
+});
+
+test('compiles .hook.dsl files to TypeScript hooks', () => {
+  const info = getFileInfo('/src/counter.hook.dsl');
+  assert.strictEqual(info.hookName, 'useCounter');
+  assert.strictEqual(info.isTypeScript, true);
+  assert.strictEqual(info.defaultOutput, '/src/counter.ts');
+  assert.strictEqual(getLoaderFileInfo('/src/use-counter.hook.dsl').hookName, 'useCounter');
+  assert.strictEqual(getFileInfo('/src/user.tsx.dsl').hookName, null);
+});
+
 // Vite plugin file detection tests
 import { isDslFile, getOutputExtension } from '../vite-plugin-jsx-dsl.js';
 
@@ -1,3 +1,5 @@
+import { JsxDslError, ERROR_CODES } from './errors.js';
+
 // Token types for JSX DSL
 export const TOKEN_TYPES = {
   // DSL symbols
@@ -33,15 +35,28 @@ export const TOKEN_TYPES = {
   PLUS: 'PLUS',             // +
   MINUS: 'MINUS',           // -
   MULTIPLY: 'MULTIPLY',     // *
+  EXPONENT: 'EXPONENT',     // **
   SLASH: 'SLASH',           // /
   INCREMENT: 'INCREMENT',   // ++
   DECREMENT: 'DECREMENT',   // --
   PLUS_ASSIGN: 'PLUS_ASSIGN', // +=
+  MINUS_ASSIGN: 'MINUS_ASSIGN', // -=
+  MULTIPLY_ASSIGN: 'MULTIPLY_ASSIGN', // *=
+  DIVIDE_ASSIGN: 'DIVIDE_ASSIGN', // /=
   ARROW: 'ARROW',           // =>
+  EQUALITY: 'EQUALITY',     // ===, ==, !==, !=
+  LTE: 'LTE',               // <=
+  GTE: 'GTE',               // >=
+  AND: 'AND',               // &&
+  OR: 'OR',                 // ||
+  NULLISH: 'NULLISH',       // ??
+  OPTIONAL_CHAIN: 'OPTIONAL_CHAIN', // ?.
+  SPREAD: 'SPREAD',         // ...
 
   // Punctuation
   DOT: 'DOT',               // .
   COMMA: 'COMMA',           // ,
+  SEMICOLON: 'SEMICOLON',   // ;
   LPAREN: 'LPAREN',         // (
   RPAREN: 'RPAREN',         // )
   LBRACE: 'LBRACE',         // {
@@ -54,7 +69,12 @@ export const TOKEN_TYPES = {
   // Literals
   STRING: 'STRING',
   NUMBER: 'NUMBER',
+  TEMPLATE_STRING: 'TEMPLATE_STRING', // `text` without substitutions
+  TEMPLATE_HEAD: 'TEMPLATE_HEAD',     // `text${
+  TEMPLATE_MIDDLE: 'TEMPLATE_MIDDLE', // }text${
+  TEMPLATE_TAIL: 'TEMPLATE_TAIL',     // }text`
   IDENTIFIER: 'IDENTIFIER',
+  JSX_TEXT: 'JSX_TEXT',     // Raw text between JSX tags
 
   // Control
   NEWLINE: 'NEWLINE',
@@ -67,6 +87,22 @@ export function tokenize(input) {
   let line = 1;
   let column = 1;
 
+  // Nested lexing contexts, innermost last:
+  //   template   - inside a `${ ... }` substitution
+  //   tag        - between < and > of a JSX tag
+  //   children   - between the opening and closing tags of element `name`
+  //   expression - inside { ... } in a tag or children
+  // `braces` counts plain braces opened inside a template or expression.
+  const contexts = [];
+  const currentContext = () => contexts[contexts.length - 1];
+
+  // Start of the token being scanned
+  let startLine = line;
+  let startColumn = column;
+
+  // Comments seen since the last token, attached to the next non-newline token
+  let pendingComments = [];
+
   const peek = (offset = 0) => input[position + offset] || '';
   const advance = () => {
     const char = input[position++];
@@ -79,12 +115,44 @@ export function tokenize(input) {
     return char;
   };
 
+  // Tokens span from where scanning started to the current (exclusive) position
   const addToken = (type, value = null) => {
-    tokens.push({ type, value, line, column: column - (value?.length || 1) });
+    const token = { type, value, line: startLine, column: startColumn, endLine: line, endColumn: column };
+    if (pendingComments.length > 0) {
+      token.leadingComments = pendingComments;
+      pendingComments = [];
+    }
+    tokens.push(token);
+  };
+
+  const addComment = (type, value) => {
+    pendingComments.push({ type, value, line: startLine, column: startColumn, endLine: line, endColumn: column });
   };
 
   while (position < input.length) {
     const char = peek();
+    startLine = line;
+    startColumn = column;
+
+    // Element bodies are raw text up to the next tag or { expression }
+    if (currentContext()?.kind === 'children') {
+      if (char === '{') {
+        advance();
+        addToken(TOKEN_TYPES.LBRACE);
+        contexts.push({ kind: 'expression', braces: 0 });
+      } else if (startsTag()) {
+        advance();
+        addToken(TOKEN_TYPES.LT);
+        contexts.push({ kind: 'tag', closing: peek() === '/', name: null });
+      } else {
+        let value = '';
+        while (peek() && peek() !== '{' && !startsTag()) {
+          value += advance();
+        }
+        addToken(TOKEN_TYPES.JSX_TEXT, value);
+      }
+      continue;
+    }
 
     // Skip whitespace (but preserve newlines for statement separation)
     if (char === ' ' || char === '\t') {
@@ -93,7 +161,7 @@ export function tokenize(input) {
     }
 
     if (char === '\n') {
-      addToken(TOKEN_TYPES.NEWLINE);
+      tokens.push({ type: TOKEN_TYPES.NEWLINE, value: null, line, column, endLine: line, endColumn: column + 1 });
       advance();
       continue;
     }
@@ -135,6 +203,12 @@ export function tokenize(input) {
     }
 
     if (char === '!') {
+      if (peek(1) === '=') {
+        const operator = peek(2) === '=' ? '!==' : '!=';
+        for (let i = 0; i < operator.length; i++) advance();
+        addToken(TOKEN_TYPES.EQUALITY, operator);
+        continue;
+      }
       advance();
       addToken(TOKEN_TYPES.EVENT);
       continue;
@@ -143,19 +217,38 @@ export function tokenize(input) {
     // TypeScript operators
     if (char === '?') {
       advance();
-      addToken(TOKEN_TYPES.QUESTION);
+      if (peek() === '?') {
+        advance();
+        addToken(TOKEN_TYPES.NULLISH, '??');
+      } else if (peek() === '.' && !/\d/.test(peek(1))) {
+        // `a?.5:1` is a ternary, not optional chaining
+        advance();
+        addToken(TOKEN_TYPES.OPTIONAL_CHAIN, '?.');
+      } else {
+        addToken(TOKEN_TYPES.QUESTION);
+      }
       continue;
     }
 
     if (char === '|') {
       advance();
-      addToken(TOKEN_TYPES.PIPE);
+      if (peek() === '|') {
+        advance();
+        addToken(TOKEN_TYPES.OR, '||');
+      } else {
+        addToken(TOKEN_TYPES.PIPE);
+      }
       continue;
     }
 
     if (char === '&') {
       advance();
-      addToken(TOKEN_TYPES.CONTEXT);
+      if (peek() === '&') {
+        advance();
+        addToken(TOKEN_TYPES.AND, '&&');
+      } else {
+        addToken(TOKEN_TYPES.CONTEXT);
+      }
       continue;
     }
 
@@ -197,6 +290,9 @@ export function tokenize(input) {
       if (peek() === '-') {
         advance();
         addToken(TOKEN_TYPES.DECREMENT);
+      } else if (peek() === '=') {
+        advance();
+        addToken(TOKEN_TYPES.MINUS_ASSIGN);
       } else {
         addToken(TOKEN_TYPES.MINUS);
       }
@@ -210,6 +306,13 @@ export function tokenize(input) {
       continue;
     }
 
+    if (char === '=' && peek(1) === '=') {
+      const operator = peek(2) === '=' ? '===' : '==';
+      for (let i = 0; i < operator.length; i++) advance();
+      addToken(TOKEN_TYPES.EQUALITY, operator);
+      continue;
+    }
+
     if (char === '=') {
       advance();
       addToken(TOKEN_TYPES.ASSIGN);
@@ -219,7 +322,13 @@ export function tokenize(input) {
     if (char === '*') {
       advance();
       // Check if followed by identifier (ID token) or used as multiply
-      if (/[a-zA-Z_]/.test(peek())) {
+      if (peek() === '=') {
+        advance();
+        addToken(TOKEN_TYPES.MULTIPLY_ASSIGN);
+      } else if (peek() === '*') {
+        advance();
+        addToken(TOKEN_TYPES.EXPONENT, '**');
+      } else if (/[a-zA-Z_]/.test(peek())) {
         addToken(TOKEN_TYPES.ID);
       } else {
         addToken(TOKEN_TYPES.MULTIPLY);
@@ -227,14 +336,71 @@ export function tokenize(input) {
       continue;
     }
 
-    if (char === '/') {
+    // Comments are kept as trivia on the following token
+    if (char === '/' && peek(1) === '/') {
+      advance();
+      advance();
+      let value = '';
+      while (peek() && peek() !== '\n') {
+        value += advance();
+      }
+      addComment('LineComment', value);
+      continue;
+    }
+
+    if (char === '/' && peek(1) === '*') {
+      advance();
+      advance();
+      let value = '';
+      while (!(peek() === '*' && peek(1) === '/')) {
+        if (!peek()) {
+          throw new JsxDslError('Unterminated comment', {
+            code: ERROR_CODES.UNTERMINATED_COMMENT,
+            line: startLine,
+            column: startColumn,
+            endLine: line,
+            endColumn: column
+          });
+        }
+        value += advance();
+      }
+      advance();
+      advance();
+      addComment('BlockComment', value);
+      continue;
+    }
+
+    // End of a self-closing tag
+    if (char === '/' && peek(1) === '>' && currentContext()?.kind === 'tag') {
       advance();
       addToken(TOKEN_TYPES.SLASH);
+      startColumn = column;
+      advance();
+      addToken(TOKEN_TYPES.GT);
+      contexts.pop();
+      continue;
+    }
+
+    if (char === '/') {
+      advance();
+      if (peek() === '=') {
+        advance();
+        addToken(TOKEN_TYPES.DIVIDE_ASSIGN);
+      } else {
+        addToken(TOKEN_TYPES.SLASH);
+      }
       continue;
     }
 
     // Punctuation
     if (char === '.') {
+      if (peek(1) === '.' && peek(2) === '.') {
+        advance();
+        advance();
+        advance();
+        addToken(TOKEN_TYPES.SPREAD, '...');
+        continue;
+      }
       advance();
       addToken(TOKEN_TYPES.DOT);
       continue;
@@ -246,6 +412,12 @@ export function tokenize(input) {
       continue;
     }
 
+    if (char === ';') {
+      advance();
+      addToken(TOKEN_TYPES.SEMICOLON);
+      continue;
+    }
+
     if (char === '(') {
       advance();
       addToken(TOKEN_TYPES.LPAREN);
@@ -261,12 +433,31 @@ export function tokenize(input) {
     if (char === '{') {
       advance();
       addToken(TOKEN_TYPES.LBRACE);
+      const context = currentContext();
+      if (context?.kind === 'tag') {
+        contexts.push({ kind: 'expression', braces: 0 });
+      } else if (context) {
+        context.braces++;
+      }
       continue;
     }
 
     if (char === '}') {
+      const context = currentContext();
+      // Closing brace of a template substitution resumes the template text
+      if (context?.kind === 'template' && context.braces === 0) {
+        contexts.pop();
+        advance();
+        readTemplate(TOKEN_TYPES.TEMPLATE_TAIL, TOKEN_TYPES.TEMPLATE_MIDDLE);
+        continue;
+      }
       advance();
       addToken(TOKEN_TYPES.RBRACE);
+      if (context?.kind === 'expression' && context.braces === 0) {
+        contexts.pop();
+      } else if (context?.braces > 0) {
+        context.braces--;
+      }
       continue;
     }
 
@@ -282,31 +473,84 @@ export function tokenize(input) {
       continue;
     }
 
-    if (char === '<') {
+    // A tag can only start where an operand is expected, so `a <b` stays a
+    // comparison, and never right after another <, so `a <<b` stays a shift
+    if (char === '<' && /[a-zA-Z]/.test(peek(1)) && input[position - 1] !== '<' && expectsOperand()) {
       advance();
       addToken(TOKEN_TYPES.LT);
+      contexts.push({ kind: 'tag', closing: false, name: null });
       continue;
     }
 
-    if (char === '>') {
+    if (char === '<') {
+      advance();
+      if (peek() === '=') {
+        advance();
+        addToken(TOKEN_TYPES.LTE, '<=');
+      } else {
+        addToken(TOKEN_TYPES.LT);
+      }
+      continue;
+    }
+
+    if (char === '>' && currentContext()?.kind === 'tag') {
       advance();
       addToken(TOKEN_TYPES.GT);
+      const tag = contexts.pop();
+      if (!tag.closing) {
+        contexts.push({ kind: 'children', name: tag.name });
+      } else {
+        // Close the matching element, and any unclosed ones inside it
+        const index = contexts.findLastIndex(context => context.kind === 'children' && context.name === tag.name);
+        contexts.length = index >= 0 ? index : contexts.length - 1;
+      }
+      continue;
+    }
+
+    if (char === '>') {
+      advance();
+      if (peek() === '=') {
+        advance();
+        addToken(TOKEN_TYPES.GTE, '>=');
+      } else {
+        addToken(TOKEN_TYPES.GT);
+      }
       continue;
     }
 
     // Strings
     if (char === '"' || char === "'") {
       const quote = char;
+      const start = position;
       advance();
       let value = '';
-      while (peek() && peek() !== quote) {
+      while (peek() !== quote) {
+        if (!peek() || peek() === '\n') {
+          throw new JsxDslError('Unterminated string literal', {
+            code: ERROR_CODES.UNTERMINATED_STRING,
+            line: startLine,
+            column: startColumn,
+            endLine: line,
+            endColumn: column
+          });
+        }
         if (peek() === '\\') {
           advance();
+          value += unescape(advance());
+          continue;
         }
         value += advance();
       }
       advance(); // closing quote
       addToken(TOKEN_TYPES.STRING, value);
+      tokens[tokens.length - 1].raw = input.slice(start, position);
+      continue;
+    }
+
+    // Template literals
+    if (char === '`') {
+      advance();
+      readTemplate(TOKEN_TYPES.TEMPLATE_STRING, TOKEN_TYPES.TEMPLATE_HEAD);
       continue;
     }
 
@@ -328,12 +572,86 @@ export function tokenize(input) {
         value += advance();
       }
       addToken(TOKEN_TYPES.IDENTIFIER, value);
+      const context = currentContext();
+      if (context?.kind === 'tag' && context.name === null) {
+        context.name = value;
+      }
       continue;
     }
 
-    throw new Error(`Unexpected character: ${char} at line ${line}, column ${column}`);
+    throw new JsxDslError(`Unexpected character: ${char}`, {
+      code: ERROR_CODES.UNEXPECTED_CHARACTER,
+      line,
+      column
+    });
   }
 
+  startLine = line;
+  startColumn = column;
   addToken(TOKEN_TYPES.EOF);
   return tokens;
+
+  // Read template text up to the closing backtick or the next `${`. The
+  // token value is the raw text so the generators can emit it unchanged.
+  function readTemplate(closedType, openType) {
+    let value = '';
+    while (peek() && peek() !== '`' && !(peek() === '$' && peek(1) === '{')) {
+      if (peek() === '\\') {
+        value += advance();
+      }
+      value += advance();
+    }
+
+    if (peek() === '`') {
+      advance();
+      addToken(closedType, value);
+      return;
+    }
+
+    if (!peek()) {
+      throw new JsxDslError('Unterminated template literal', {
+        code: ERROR_CODES.UNTERMINATED_TEMPLATE,
+        line: startLine,
+        column: startColumn,
+        endLine: line,
+        endColumn: column
+      });
+    }
+
+    advance(); // $
+    advance(); // {
+    addToken(openType, value);
+    contexts.push({ kind: 'template', braces: 0 });
+  }
+
+  // `<` followed by a tag name or `/` opens a tag inside element bodies
+  function startsTag() {
+    return peek() === '<' && /[a-zA-Z/]/.test(peek(1));
+  }
+
+  // True when the previous token cannot end an operand, e.g. after `=`, `(`,
+  // `?`, `=>`, `return` or at the start of a line
+  function expectsOperand() {
+    const previous = tokens[tokens.length - 1];
+    if (!previous) return true;
+    if (previous.type === TOKEN_TYPES.IDENTIFIER) return previous.value === 'return';
+    return !OPERAND_END_TYPES.has(previous.type);
+  }
+}
+
+// Tokens after which `<` is a comparison rather than the start of a tag
+const OPERAND_END_TYPES = new Set([
+  TOKEN_TYPES.NUMBER,
+  TOKEN_TYPES.STRING,
+  TOKEN_TYPES.TEMPLATE_STRING,
+  TOKEN_TYPES.TEMPLATE_TAIL,
+  TOKEN_TYPES.RPAREN,
+  TOKEN_TYPES.RBRACKET,
+  TOKEN_TYPES.RBRACE,
+]);
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+function unescape(char) {
+  return ESCAPES[char] ?? char;
 }
\ No newline at end of file
@@ -7,7 +7,11 @@ export interface JsxDslPluginOptions {
   sourceMap?: boolean;
   /** Enable hot module replacement (default: true) */
   hmr?: boolean;
-  /** Include pattern (default: /\.jsx\.dsl$/) */
+  /** Add propTypes validation to JavaScript output (default: false) */
+  propTypes?: boolean;
+  /** Names defined by the environment besides the built-in browser globals (default: []) */
+  globals?: string[];
+  /** Include pattern (default: /\.(jsx|tsx|hook)\.dsl$/) */
   include?: RegExp;
   /** Exclude pattern */
   exclude?: RegExp;
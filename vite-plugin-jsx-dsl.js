@@ -4,12 +4,28 @@ import { transform as esbuildTransform } from 'esbuild';
 import { tokenize } from './src/tokenizer-ts.js';
 import { parse } from './src/parser-ts.js';
 import { generateTypeScript } from './src/generator-ts.js';
-import { generate } from './src/generator.js';
+import { analyze } from './src/analyzer.js';
+import { JsxDslError, formatCodeFrame } from './src/errors.js';
+import { chainSourceMaps } from './src/source-maps.js';
+import { getDslExtension, componentNameFromPath, hookNameFromPath } from './src/file-names.js';
 
-const DSL_FILE_REGEX = /\.(jsx|tsx)\.dsl($|\?)/;
+const DSL_FILE_REGEX = /\.(jsx|tsx|hook)\.dsl($|\?)/;
 
 /**
- * Check if a file path is a DSL file (.jsx.dsl or .tsx.dsl)
+ * Convert a located diagnostic to a Rollup log (0-based column) with a code frame
+ */
+function toRollupLog(diagnostic, id, source) {
+  return {
+    message: diagnostic.message,
+    id,
+    code: diagnostic.code,
+    loc: { file: id, line: diagnostic.line, column: diagnostic.column - 1 },
+    frame: formatCodeFrame(source, diagnostic)
+  };
+}
+
+/**
+ * Check if a file path is a DSL file (.jsx.dsl, .tsx.dsl or .hook.dsl)
  */
 export function isDslFile(filePath) {
   return DSL_FILE_REGEX.test(filePath);
@@ -29,25 +45,24 @@ export function getOutputExtension(filePath, useTypescript) {
   if (filePath.endsWith('.tsx.dsl')) {
     return '.tsx';
   }
+  if (filePath.endsWith('.hook.dsl')) {
+    return useTypescript ? '.ts' : '.js';
+  }
   return useTypescript ? '.tsx' : '.jsx';
 }
 
-/**
- * Get the DSL extension from a file path
- */
-export function getDslExtension(filePath) {
-  if (filePath.endsWith('.tsx.dsl')) return '.tsx.dsl';
-  if (filePath.endsWith('.jsx.dsl')) return '.jsx.dsl';
-  return null;
-}
+// The naming rules live in src/file-names.js; re-exported for existing callers
+export { getDslExtension };
 
 /**
  * Vite plugin for JSX DSL
  * @param {Object} options - Plugin options
- * @param {boolean} options.typescript - Generate TypeScript output for .jsx.dsl files (default: true). Note: .tsx.dsl files always generate TypeScript.
+ * @param {boolean} options.typescript - Generate TypeScript output for .jsx.dsl and .hook.dsl files (default: true). Note: .tsx.dsl files always generate TypeScript.
  * @param {boolean} options.sourceMap - Generate source maps (default: true)
  * @param {boolean} options.hmr - Enable hot module replacement (default: true)
- * @param {RegExp} options.include - Include pattern (default: /\.(jsx|tsx)\.dsl$/)
+ * @param {boolean} options.propTypes - Add propTypes validation to JavaScript output (default: false)
+ * @param {string[]} options.globals - Names defined by the environment besides the built-in browser globals (default: [])
+ * @param {RegExp} options.include - Include pattern (default: /\.(jsx|tsx|hook)\.dsl$/)
  * @param {RegExp} options.exclude - Exclude pattern
  * @returns {import('vite').Plugin} Vite plugin
  */
@@ -56,6 +71,8 @@ export default function jsxDslPlugin(options = {}) {
     typescript = true,
     sourceMap = true,
     hmr = true,
+    propTypes = false,
+    globals = [],
     include = DSL_FILE_REGEX,
     exclude
   } = options;
@@ -89,35 +106,42 @@ export default function jsxDslPlugin(options = {}) {
       try {
         // Parse the DSL file
         const tokens = tokenize(code);
-        const ast = parse(tokens);
+        const parsed = parse(tokens, { recover: true });
+        const { ast } = parsed;
+
+        // Resolve names only in a complete AST; a partial one would report false undefined names
+        const analysis = parsed.errors.length === 0 ? analyze(ast, { globals }) : { errors: [], warnings: [] };
+        const errors = [...parsed.errors, ...analysis.errors];
+        const warnings = [...parsed.warnings, ...analysis.warnings];
+
+        for (const warning of warnings) {
+          this.warn(toRollupLog(warning, id, code));
+        }
+        if (errors.length > 0) {
+          // Rollup stops at one error per module; report the rest as warnings
+          // so a single build still shows them all, with their code frames
+          for (const error of errors.slice(1)) {
+            this.warn(toRollupLog(error, id, code));
+          }
+          throw errors[0];
+        }
 
         // Detect TypeScript mode: .tsx.dsl always uses TypeScript, .jsx.dsl uses the typescript option
         const useTypeScript = isTsxDslFile(id) || typescript;
         const dslExtension = getDslExtension(id);
         const outputExtension = getOutputExtension(id, typescript);
 
-        // Generate the component name from file path
-        const componentName = path.basename(id, dslExtension)
-          .replace(/^\w/, c => c.toUpperCase())
-          .replace(/-(\w)/g, (_, c) => c.toUpperCase())
-          .replace(/[^a-zA-Z0-9]/g, '');
-
-        let output;
-        let map = null;
-
-        if (useTypeScript) {
-          // Generate TypeScript
-          const result = generateTypeScript(ast, id, {
-            componentName,
-            generateSourceMap: sourceMap,
-            outputFile: id.replace(dslExtension, outputExtension)
-          });
-          output = result.code;
-          map = result.map;
-        } else {
-          // Generate JavaScript
-          output = generate(ast);
-        }
+        // Generate TSX or JSX from the same backend
+        const result = generateTypeScript(ast, id, {
+          typescript: useTypeScript,
+          componentName: componentNameFromPath(id),
+          hookName: hookNameFromPath(id),
+          generateSourceMap: sourceMap,
+          sourceContent: code,
+          propTypes,
+          outputFile: id.replace(dslExtension, outputExtension)
+        });
+        let output = result.code;
 
         // Add HMR support in development
         if (hmr && !isProduction) {
@@ -143,11 +167,18 @@ if (import.meta.hot) {
           sourcefile: id,
         });
 
+        // esbuild maps back to the generated code; chain that through our map
+        // so the browser lands on the DSL source
         return {
           code: transformed.code,
-          map: transformed.map || null
+          map: sourceMap && transformed.map ? await chainSourceMaps(transformed.map, result.map) : null
         };
       } catch (error) {
+        // Located DSL errors go through Rollup so the overlay shows the code frame
+        if (error instanceof JsxDslError && error.line !== null) {
+          this.error(toRollupLog(error, id, code));
+        }
+
         // Provide helpful error messages
         console.error(`JSX DSL compilation error in ${id}:`, error.message);
 
@@ -0,0 +1,157 @@
+// VSCode extension for JSX DSL: compile command and live preview
+const path = require('path');
+const vscode = require('vscode');
+
+// Virtual documents holding compiled output; read-only by construction
+const PREVIEW_SCHEME = 'jsx-dsl-preview';
+
+// The compiler is published as ES modules, so it is loaded lazily. The
+// compiler-only entry keeps the runtime (and React) out of the extension host
+let compilerModules = null;
+function loadCompiler() {
+  compilerModules ??= Promise.all([import('jsx-dsl/compiler'), import('jsx-dsl/cli')])
+    .then(([compiler, cli]) => ({ ...compiler, getFileInfo: cli.getFileInfo }));
+  return compilerModules;
+}
+
+/**
+ * Compile DSL source the way the CLI would for this file
+ * @returns {Promise<{ code: string, outputFile: string, errors: string[] }>}
+ */
+async function compileSource(source, filePath) {
+  const { tokenize, parse, analyze, generateTypeScript, getFileInfo } = await loadCompiler();
+  const fileInfo = getFileInfo(filePath);
+
+  try {
+    const parsed = parse(tokenize(source), { recover: true });
+    const { ast } = parsed;
+    const errors = parsed.errors.length > 0 ? parsed.errors : analyze(ast).errors;
+    if (errors.length > 0) {
+      return { code: null, outputFile: fileInfo.defaultOutput, errors: errors.map(error => formatError(error, filePath, source)) };
+    }
+    const { code } = generateTypeScript(ast, filePath, {
+      typescript: fileInfo.isTypeScript,
+      componentName: fileInfo.componentName,
+      hookName: fileInfo.hookName
+    });
+    return { code, outputFile: fileInfo.defaultOutput, errors: [] };
+  } catch (error) {
+    // Tokenizer errors are thrown rather than collected
+    return { code: null, outputFile: fileInfo.defaultOutput, errors: [formatError(error, filePath, source)] };
+  }
+}
+
+function formatError(error, filePath, source) {
+  if (typeof error.format !== 'function') return error.message;
+  error.file = path.basename(filePath);
+  return error.format(source);
+}
+
+// Preview URIs are named after the output file and carry the source URI in the query
+function previewUriFor(document, outputFile) {
+  return vscode.Uri.from({
+    scheme: PREVIEW_SCHEME,
+    path: outputFile,
+    query: document.uri.toString()
+  });
+}
+
+function sourceUriOf(previewUri) {
+  return vscode.Uri.parse(previewUri.query);
+}
+
+class PreviewProvider {
+  constructor() {
+    this.changeEmitter = new vscode.EventEmitter();
+    this.onDidChange = this.changeEmitter.event;
+    // Open previews by source URI
+    this.previews = new Map();
+  }
+
+  async provideTextDocumentContent(previewUri) {
+    const sourceUri = sourceUriOf(previewUri);
+    this.previews.set(sourceUri.toString(), previewUri);
+
+    const document = await vscode.workspace.openTextDocument(sourceUri);
+    const { code, errors } = await compileSource(document.getText(), document.uri.fsPath);
+    if (errors.length > 0) {
+      // Keep the problems visible in place of the output
+      return `/*\n${errors.join('\n\n').replace(/\*\//g, '* /')}\n*/\n`;
+    }
+    return code;
+  }
+
+  update(sourceUri) {
+    const previewUri = this.previews.get(sourceUri.toString());
+    if (previewUri) this.changeEmitter.fire(previewUri);
+  }
+
+  forget(previewUri) {
+    this.previews.delete(sourceUriOf(previewUri).toString());
+  }
+}
+
+function isDslDocument(document) {
+  return document.languageId === 'jsx.dsl';
+}
+
+// The DSL document a command applies to: the active one, or the source of an active preview
+async function targetDocument() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) return null;
+  if (editor.document.uri.scheme === PREVIEW_SCHEME) {
+    return vscode.workspace.openTextDocument(sourceUriOf(editor.document.uri));
+  }
+  return isDslDocument(editor.document) ? editor.document : null;
+}
+
+function activate(context) {
+  const provider = new PreviewProvider();
+
+  context.subscriptions.push(
+    vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, provider),
+
+    // Recompile open previews as the source changes
+    vscode.workspace.onDidChangeTextDocument(event => {
+      if (isDslDocument(event.document)) provider.update(event.document.uri);
+    }),
+    vscode.workspace.onDidCloseTextDocument(document => {
+      if (document.uri.scheme === PREVIEW_SCHEME) provider.forget(document.uri);
+    }),
+
+    vscode.commands.registerCommand('jsx.dsl.compile', async () => {
+      const document = await targetDocument();
+      if (!document) {
+        vscode.window.showWarningMessage('Open a .jsx.dsl, .tsx.dsl or .hook.dsl file to compile it.');
+        return;
+      }
+      const { getFileInfo } = await loadCompiler();
+      const previewUri = previewUriFor(document, getFileInfo(document.uri.fsPath).defaultOutput);
+      const preview = await vscode.workspace.openTextDocument(previewUri);
+      await vscode.window.showTextDocument(preview, {
+        viewColumn: vscode.ViewColumn.Beside,
+        preserveFocus: true,
+        preview: false
+      });
+    }),
+
+    vscode.commands.registerCommand('jsx.dsl.writeToDisk', async () => {
+      const document = await targetDocument();
+      if (!document) {
+        vscode.window.showWarningMessage('Open a .jsx.dsl, .tsx.dsl or .hook.dsl file to compile it.');
+        return;
+      }
+      const { code, outputFile, errors } = await compileSource(document.getText(), document.uri.fsPath);
+      if (errors.length > 0) {
+        vscode.window.showErrorMessage(`JSX DSL: ${errors.length} error(s) in ${path.basename(document.uri.fsPath)}`);
+        return;
+      }
+      await vscode.workspace.fs.writeFile(vscode.Uri.file(outputFile), Buffer.from(code, 'utf8'));
+      vscode.window.showInformationMessage(`JSX DSL: wrote ${vscode.workspace.asRelativePath(outputFile)}`);
+    })
+  );
+}
+
+function deactivate() {}
+
+module.exports = { activate, deactivate };